@@ -6,7 +6,7 @@ module.exports = function(grunt) {
 
     grunt.initConfig({
         nodeunit: {
-            all: ['test/**/*.js']
+            all: ['test/*.js']
         },
         eslint: {
             options: {
@@ -1,16 +1,34 @@
 'use strict';
 
 var GithubReleaseNotes = require('./src/gren');
-var gren = new GithubReleaseNotes();
 var utils = require('./src/utils');
-var action = utils.getBashOptions(process.argv)['action'];
+var ObjectAssign = require('object-assign-deep');
+var options = ObjectAssign({}, utils.getConfigFromFile(process.cwd()), utils.getBashOptions(process.argv));
+var stderrLogger = {
+    log: console.error,
+    warn: console.error,
+    write: function(text) {
+        process.stderr.write(text);
+    }
+};
+var gren = new GithubReleaseNotes(Object.assign(options, {
+    logger: options.json ? stderrLogger : null
+}));
 
 gren.init()
     .then(function() {
-        return gren[action || 'release']();
+        return gren[options.action || 'release']();
+    })
+    .then(function(result) {
+        if (options.json) {
+            console.log(JSON.stringify(result));
+        }
     })
     .catch(function(error) {
         utils.clearTasks(gren);
 
         console.error(error);
+    })
+    .then(function() {
+        gren.printRateLimit();
     });
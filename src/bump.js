@@ -0,0 +1,126 @@
+'use strict';
+
+var chalk = require('chalk');
+var semver = require('semver');
+var conventionalCommits = require('./conventional-commits');
+
+/**
+ * The default rules to bump the version: the labels (or the Conventional
+ * Commits types) which require a major or a minor release.
+ * The `breaking` key also matches the commits with breaking changes.
+ * Any other change requires a patch release.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {Object}
+ */
+var rules = {
+    major: ['breaking'],
+    minor: ['enhancement', 'feature', 'feat']
+};
+
+/**
+ * The bump levels, from the highest one
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {string[]}
+ */
+var levels = ['major', 'minor', 'patch'];
+
+/**
+ * Get the keys of a change, matched against the rules: the names of
+ * the labels and the Conventional Commits type of the title or message
+ * (plus `breaking` for the breaking changes)
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} message The title of the issue or the message of the commit
+ * @param  {Object[]} [labels] The labels of the issue
+ *
+ * @return {string[]}
+ */
+function getKeys(message, labels) {
+    var parsed = conventionalCommits.parse(message);
+    var keys = (labels || []).map(function(label) {
+        return label.name;
+    });
+
+    if (parsed.type) {
+        keys.push(parsed.type);
+    }
+
+    if (parsed.breaking) {
+        keys.push('breaking');
+    }
+
+    return keys;
+}
+
+/**
+ * Get the highest level required by the changes
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} bumpRules The keys of each level e.g. `{ major: ['breaking'], minor: ['feat'] }`
+ * @param  {Object[]} changes The changes ({title: title, keys: keys})
+ *
+ * @return {Object} The level (null without changes) and the titles of the changes which require it
+ * ({level: level, reasons: reasons})
+ */
+function getLevel(bumpRules, changes) {
+    var matches = function(level, change) {
+        return change.keys.some(function(key) {
+            return [].concat(bumpRules[level] || []).indexOf(key) !== -1;
+        });
+    };
+    var level = levels.slice(0, -1).filter(function(level) {
+        return changes.some(matches.bind(null, level));
+    })[0] || (changes.length ? 'patch' : null);
+
+    return {
+        level: level,
+        reasons: changes
+            .filter(function(change) {
+                return level === 'patch' || matches(level, change);
+            })
+            .map(function(change) {
+                return change.title;
+            })
+    };
+}
+
+/**
+ * Increment the version of a tag, keeping its prefix
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} tag e.g. `v1.2.3`
+ * @param  {string} level `major`, `minor` or `patch`
+ * @param  {string} [tagPrefix] The prefix of the tag e.g. `@scope/pkg@`, everything before the first digit if not set
+ *
+ * @return {string} e.g. `v1.3.0`
+ */
+function increment(tag, level, tagPrefix) {
+    var prefix = tagPrefix && tag.indexOf(tagPrefix) === 0 ? tagPrefix : tag.match(/^[^\d]*/)[0];
+    var version = tag.slice(prefix.length);
+
+    if (!semver.valid(version)) {
+        throw chalk.red('The tag ' + tag + ' is not a semver version');
+    }
+
+    return prefix + semver.inc(version, level);
+}
+
+module.exports = {
+    rules: rules,
+    levels: levels,
+    getKeys: getKeys,
+    getLevel: getLevel,
+    increment: increment
+};
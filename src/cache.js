@@ -0,0 +1,113 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+/**
+ * Create a directory with its missing parents
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} directory
+ */
+function makeDirectory(directory) {
+    if (fs.existsSync(directory)) {
+        return;
+    }
+
+    makeDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+
+/**
+ * The on-disk cache of the API responses, with one JSON file per request
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param {string} directory The directory of the cache e.g. `.gren-cache`
+ *
+ * @constructor
+ */
+function Cache(directory) {
+    this.directory = path.resolve(directory);
+}
+
+/**
+ * Get the path of the file of a key
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} key
+ *
+ * @return {string}
+ */
+Cache.prototype.getFile = function(key) {
+    return path.join(this.directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+};
+
+/**
+ * Get a cached entry
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} key e.g. `GET https://api.github.com/repos/user/repo/tags?per_page=100`
+ *
+ * @return {Object|null} The entry, or null if it's not cached (or not readable)
+ */
+Cache.prototype.get = function(key) {
+    try {
+        return JSON.parse(fs.readFileSync(this.getFile(key), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Store an entry, creating the directory of the cache if needed
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} key
+ * @param  {Object} entry
+ *
+ * @throws {Error} If the entry can't be written
+ */
+Cache.prototype.set = function(key, entry) {
+    makeDirectory(this.directory);
+
+    fs.writeFileSync(this.getFile(key), JSON.stringify(entry));
+};
+
+/**
+ * Remove all the entries and the directory of the cache
+ *
+ * @since 0.9.0
+ * @public
+ */
+Cache.prototype.clear = function() {
+    var directory = this.directory;
+
+    if (!fs.existsSync(directory)) {
+        return;
+    }
+
+    fs.readdirSync(directory)
+        .filter(function(file) {
+            return /^[0-9a-f]{40}\.json$/.test(file);
+        })
+        .forEach(function(file) {
+            fs.unlinkSync(path.join(directory, file));
+        });
+
+    if (!fs.readdirSync(directory).length) {
+        fs.rmdirSync(directory);
+    }
+};
+
+module.exports = Cache;
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * The headings of the Conventional Commits types, used to group
+ * the commits by type. The `breaking` key is used for the commits
+ * with breaking changes and `...` for all the other commits.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {Object}
+ */
+var headings = {
+    breaking: 'Breaking Changes',
+    feat: 'Features',
+    fix: 'Bug Fixes',
+    perf: 'Performance Improvements',
+    revert: 'Reverts',
+    docs: 'Documentation',
+    style: 'Styles',
+    refactor: 'Code Refactoring',
+    test: 'Tests',
+    build: 'Build System',
+    ci: 'Continuous Integration',
+    chore: 'Chores',
+    '...': 'Other Changes'
+};
+
+/**
+ * Parse a commit message following the Conventional Commits specification
+ * e.g. `feat(parser)!: drop the support for arrays`
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} message The full commit message
+ *
+ * @return {Object} The parsed commit ({type: type, scope: scope, subject: subject, breaking: breaking}).
+ * The type is null if the message doesn't follow the specification.
+ */
+function parse(message) {
+    var lines = message.split('\n');
+    var header = lines[0].match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.+)$/);
+    var hasBreakingFooter = /^BREAKING[ -]CHANGE:/m.test(lines.slice(1).join('\n'));
+
+    if (!header) {
+        return {
+            type: null,
+            scope: '',
+            subject: lines[0],
+            breaking: false
+        };
+    }
+
+    return {
+        type: header[1].toLowerCase(),
+        scope: header[2] || '',
+        subject: header[4],
+        breaking: !!header[3] || hasBreakingFooter
+    };
+}
+
+module.exports = {
+    headings: headings,
+    parse: parse
+};
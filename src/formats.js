@@ -0,0 +1,192 @@
+'use strict';
+
+var MarkdownIt = require('markdown-it');
+var utils = require('./utils');
+
+var markdown = new MarkdownIt();
+
+/**
+ * Escape a string to be used in HTML or XML
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} string
+ *
+ * @return {string}
+ */
+function escape(string) {
+    return String(string)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the plain text title of the changelog from the Markdown template
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {string}
+ */
+function getTitle(gren) {
+    return gren.options.template.changelogTitle.replace(/^#+\s*/, '').trim();
+}
+
+/**
+ * Get the URL of the repo on the provider
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {string}
+ */
+function getRepoUrl(gren) {
+    return gren.provider.repoUrl;
+}
+
+/**
+ * Normalise a release coming either from the provider or from
+ * the generated release blocks
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} release
+ *
+ * @return {Object}
+ */
+function normalizeRelease(gren, release) {
+    var tag = release.tag_name || release.release;
+
+    return {
+        name: release.name || tag,
+        tag: tag,
+        date: release.published_at,
+        url: release.html_url || gren.provider.getReleaseUrl(tag),
+        body: release.body || '',
+        groups: release.groups || [],
+        contributors: (release.contributors || []).map(function(contributor) {
+            return {
+                login: contributor.login,
+                name: contributor.name,
+                url: contributor.url,
+                avatar: contributor.avatar,
+                firstTime: contributor.firstTime
+            };
+        })
+    };
+}
+
+/**
+ * Generate the JSON changelog, with the releases, their groups
+ * and the items of each group
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releases
+ *
+ * @return {string}
+ */
+function json(gren, releases) {
+    return JSON.stringify({
+        releases: releases.map(normalizeRelease.bind(null, gren))
+    }, null, 2) + '\n';
+}
+
+/**
+ * Generate the changelog as a standalone HTML page
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releases
+ *
+ * @return {string}
+ */
+function html(gren, releases) {
+    var sections = releases.map(function(release) {
+        var data = normalizeRelease(gren, release);
+
+        return [
+            '<section class="release" id="' + escape(data.tag) + '">',
+            '<h2><a href="' + escape(data.url) + '">' + escape(data.name) + '</a></h2>',
+            '<time datetime="' + escape(data.date) + '">' + utils.formatDate(new Date(data.date), gren.options.dateFormat, gren.options) + '</time>',
+            markdown.render(data.body),
+            '</section>'
+        ].join('\n');
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<title>' + escape(getTitle(gren)) + '</title>',
+        '</head>',
+        '<body>',
+        markdown.render(gren.options.template.changelogTitle),
+        sections.join('\n'),
+        '</body>',
+        '</html>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Generate the changelog as an Atom feed, with one entry per release.
+ * The owner of the repo is the author of the feed.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releases
+ *
+ * @return {string}
+ */
+function atom(gren, releases) {
+    var repoUrl = getRepoUrl(gren);
+    var entries = releases.map(function(release) {
+        var data = normalizeRelease(gren, release);
+
+        return [
+            '<entry>',
+            '<id>' + escape(data.url) + '</id>',
+            '<title>' + escape(data.name) + '</title>',
+            '<link href="' + escape(data.url) + '"/>',
+            '<updated>' + new Date(data.date).toISOString() + '</updated>',
+            '<content type="html">' + escape(markdown.render(data.body)) + '</content>',
+            '</entry>'
+        ].join('\n');
+    });
+    var updated = releases.length ? new Date(normalizeRelease(gren, releases[0]).date) : new Date();
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '<id>' + escape(repoUrl + '/releases') + '</id>',
+        '<title>' + escape(gren.options.username + '/' + gren.options.repo + ' ' + getTitle(gren)) + '</title>',
+        '<link href="' + escape(repoUrl + '/releases') + '"/>',
+        '<author><name>' + escape(gren.options.username) + '</name><uri>' + escape(repoUrl.replace(/\/[^/]+$/, '')) + '</uri></author>',
+        '<updated>' + updated.toISOString() + '</updated>',
+        entries.join('\n'),
+        '</feed>'
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    json: json,
+    html: html,
+    atom: atom
+};
@@ -1,27 +1,30 @@
 'use strict';
 
-var exec = require('child_process').exec;
+var execFile = require('child_process').execFile;
 var chalk = require('chalk');
+var utils = require('./utils');
 var Promise = Promise || require('es6-promise').Promise;
 
 /**
-* Execute a command in the bash and run a callback
+* Execute a git command, without a shell, and run a callback.
+* What git writes to stderr (e.g. a warning) only fails
+* the command when it exits with an error.
 *
 * @since 0.5.0
 * @private
 *
-* @param  {string}   command The command to execute
+* @param  {string[]} args The arguments of git
 * @param  {Function} callback The callback which returns the stdout
 *
 * @return {Promise}
 */
-function executeCommand(command, callback) {
+function executeCommand(args, callback) {
     return new Promise(function(resolve, reject) {
-        exec(command, function(err, stdout, stderr) {
-            if (err || stderr) {
-                reject(err || stderr);
+        execFile('git', args, { maxBuffer: 1024 * 1024 * 50 }, function(err, stdout, stderr) {
+            if (err) {
+                reject(stderr.trim() || err.message);
             } else {
-                resolve(stdout.replace('\n', ''));
+                resolve(stdout.replace(/\n$/, ''));
             }
         });
     })
@@ -31,6 +34,24 @@ function executeCommand(command, callback) {
     });
 }
 
+/**
+* Reject a branch passed to git which would be read as an option (starting with a dash)
+*
+* @since 0.9.0
+* @private
+*
+* @param  {string} [ref]
+*
+* @return {Promise|null} The rejected promise, null if the branch is valid
+*/
+function rejectInvalidRef(ref) {
+    if (ref && ref.charAt(0) === '-') {
+        return Promise.reject(new Error(chalk.red('The branch ' + ref + ' is not valid')));
+    }
+
+    return null;
+}
+
 /**
 * Get repo informations
 *
@@ -39,38 +60,134 @@ function executeCommand(command, callback) {
 *
 * @param  {Function} callback
 *
-* @return {Promise} The promise that resolves repo informations ({user: user, name: name})
+* @return {Promise} The promise that resolves repo informations ({username: username, repo: repo, host: host})
 */
 function repo(callback) {
-    return executeCommand('git config remote.origin.url', function(repo) {
-        var repoPath = repo
-        .replace(/([^:]*:)|\.[^.]+$/g, '')
-        .split('/');
-        var user = repoPath[0];
-        var name = repoPath[1];
-
-        return {
-            username: user,
-            repo: name
-        };
-    })
+    return executeCommand(['config', 'remote.origin.url'], utils.parseRemoteUrl)
     .then(callback);
 }
 
 /**
-* Get token informations
+* Get token informations, from the `GREN_<PROVIDER>_TOKEN` environment variable
+* e.g. `GREN_GITLAB_TOKEN`
 *
 * @since 0.5.0
 * @public
 *
+* @param  {string} [provider] The name of the provider, `github` by default
 * @param  {Function} callback
 *
 * @return {Promise} The promise that resolves token informations ({token: token})
 */
-function token(callback) {
-    return executeCommand('echo $GREN_GITHUB_TOKEN', function(token) {
+function token(provider, callback) {
+    return Promise.resolve({
+        token: process.env['GREN_' + (provider || 'github').toUpperCase() + '_TOKEN'] || ''
+    })
+    .then(callback);
+}
+
+/**
+* Get the tags of the local clone, from the newest to the oldest,
+* in the same shape of the GitHub API ones
+*
+* @since 0.9.0
+* @public
+*
+* @param  {Function} callback
+*
+* @return {Promise} The promise that resolves the tags ([{name: name, commit: {sha: sha, date: date}}])
+*/
+function tags(callback) {
+    return executeCommand(['for-each-ref', 'refs/tags', '--format=%(refname:short)%09%(objectname)%09%(*objectname)%09%(committerdate:iso-strict)%09%(*committerdate:iso-strict)'], function(output) {
+        return output
+            .split('\n')
+            .filter(Boolean)
+            .map(function(line) {
+                var fields = line.split('\t');
+
+                return {
+                    name: fields[0],
+                    commit: {
+                        sha: fields[2] || fields[1],
+                        date: fields[4] || fields[3]
+                    }
+                };
+            })
+            .sort(function(tag1, tag2) {
+                return new Date(tag2.commit.date) - new Date(tag1.commit.date);
+            });
+    })
+    .then(callback);
+}
+
+/**
+* Get the commits of the local clone between two dates,
+* in the same shape of the GitHub API ones
+*
+* @since 0.9.0
+* @public
+*
+* @param  {string|Date} since
+* @param  {string|Date} until
+* @param  {string} [ref] The branch of the commits, the current one if not set
+* @param  {string} [path] Only the commits changing the files in this directory
+* @param  {Function} callback
+*
+* @return {Promise} The promise that resolves the commits ([{sha: sha, commit: {message: message, ...}}])
+*/
+function commits(since, until, ref, path, callback) {
+    var format = ['%H', '%an', '%ae', '%aI', '%cI', '%B'].join('%x1f') + '%x1e';
+    var args = ['log', '--format=' + format, '--since=' + new Date(since).toISOString(), '--until=' + new Date(until).toISOString()]
+        .concat(ref || [])
+        .concat(path ? ['--', path] : []);
+
+    return rejectInvalidRef(ref) || executeCommand(args, function(output) {
+        return output
+            .split('\x1e')
+            .map(function(entry) {
+                return entry.replace(/^\n/, '');
+            })
+            .filter(Boolean)
+            .map(function(entry) {
+                var fields = entry.split('\x1f');
+
+                return {
+                    sha: fields[0],
+                    commit: {
+                        author: {
+                            name: fields[1],
+                            email: fields[2],
+                            date: fields[3]
+                        },
+                        committer: {
+                            date: fields[4]
+                        },
+                        message: fields[5].replace(/\n+$/, '')
+                    }
+                };
+            });
+    })
+    .then(callback);
+}
+
+/**
+* Get the last commit of a branch of the local clone
+*
+* @since 0.9.0
+* @public
+*
+* @param  {string} [ref] The branch, the current one if not set
+* @param  {Function} callback
+*
+* @return {Promise} The promise that resolves the commit ({sha: sha, date: date})
+*/
+function head(ref, callback) {
+    return rejectInvalidRef(ref) || executeCommand(['log', '-1', '--format=%H%x1f%cI', ref || 'HEAD'], function(output) {
+        var fields = output.split('\x1f');
+
         return {
-            token: token
+            sha: fields[0],
+            date: fields[1]
         };
     })
     .then(callback);
@@ -78,5 +195,8 @@ function token(callback) {
 
 module.exports = {
     repo: repo,
-    token: token
+    token: token,
+    tags: tags,
+    commits: commits,
+    head: head
 };
@@ -3,20 +3,46 @@
 var utils = require('./utils');
 var githubInfo = require('./github-info');
 var template = require('./template');
-var Github = require('github-api');
+var formats = require('./formats');
+var conventionalCommits = require('./conventional-commits');
+var bump = require('./bump');
+var providers = require('./providers');
+var logger = require('./logger');
+var plugins = require('./plugins');
+var Cache = require('./cache');
 var fs = require('fs');
 var chalk = require('chalk');
+var semver = require('semver');
 var Promise = Promise || require('es6-promise').Promise;
 var connectivity = require('connectivity');
 var templateConfig = require('./templates.json');
 var ObjectAssign = require('object-assign-deep');
-var configFile = utils.getConfigFromFile(process.cwd());
+
+var ignoredBots = ['*[bot]', 'dependabot*', 'renovate*', 'greenkeeper*'];
+var changelogExtensions = {
+    markdown: 'md',
+    json: 'json',
+    html: 'html',
+    atom: 'xml'
+};
 
 var defaults = {
     tags: false,
+    next: false, // || the tag of the next release e.g. v2.3.0
+    target: false, // || the branch of the next release, the default one if not set
+    tagPattern: false,
+    tagPrefix: false, // || the prefix of the tags of a package e.g. @scope/pkg@
+    path: false, // || the directory of a package
+    packages: false, // || array of packages {name, tagPrefix, directory, changelogFilename}
+    package: false, // || the name of the package to use, all of them if not set
+    ignoreTags: false, // || array of tag patterns
+    ignorePrereleaseTags: false,
+    sortTags: 'semver', // || api
     timeWrap: 'latest', // || history
-    changelogFilename: 'CHANGELOG.md',
-    dataSource: 'issues', // || commits
+    changelogFilename: false, // || the name of the file, CHANGELOG with the extension of the format if not set
+    mode: 'rewrite', // || prepend
+    format: 'markdown', // || json || html || atom
+    dataSource: 'issues', // || commits || prs || milestones
     draft: false,
     force: false,
     prefix: '',
@@ -25,10 +51,36 @@ var defaults = {
     dateZero: new Date(0),
     generate: false,
     override: false,
+    section: false,
+    dryRun: false,
+    local: false,
     ignoreLabels: false, // || array of labels
     ignoreIssuesWith: false, // || array of labels
+    onlyIssuesWith: false, // || array of labels
+    onlyIssuesMatch: 'any', // || all
+    ignoreIssuesFrom: false, // || array of author patterns
+    onlyMilestones: false, // || array of milestone patterns
+    ignoreMilestones: false, // || array of milestone patterns
+    ignoreTitlePattern: false, // || array of title patterns
+    attribution: 'date', // || commits
     template: templateConfig,
-    groupBy: false
+    groupBy: false, // || label || type || {...}
+    commitTypes: conventionalCommits.headings,
+    milestoneMatch: 'Release {{tag}}',
+    dateFormat: 'DD/MM/YYYY',
+    locale: false,
+    timeZone: false,
+    contributors: false,
+    bumpRules: false, // || {major: [...], minor: [...]}, the default rules if not set
+    json: false,
+    plugins: false, // || array of plugins, or paths of their modules
+    ignoreContributors: false, // || array of patterns, the bots by default
+    pageLimit: 10,
+    concurrency: 4,
+    retries: 3,
+    cache: false,
+    cacheDir: '.gren-cache',
+    clearCache: false
 };
 
 /**
@@ -55,13 +107,11 @@ var defaults = {
 function editRelease(gren, releaseId, releaseOptions) {
     var loaded = utils.task(gren, 'Updating latest release');
 
-    return gren.repo.updateRelease(releaseId, releaseOptions)
-        .then(function(response) {
+    return gren.provider.updateRelease(releaseId, releaseOptions)
+        .then(function(release) {
             loaded();
 
-            var release = response.data;
-
-            console.log(chalk.green(release.name + ' has been successfully updated!'));
+            gren.logger.log(chalk.green(release.name + ' has been successfully updated!'));
 
             return release;
         });
@@ -89,17 +139,70 @@ function editRelease(gren, releaseId, releaseOptions) {
 function createRelease(gren, releaseOptions) {
     var loaded = utils.task(gren, 'Preparing the release');
 
-    return gren.repo.createRelease(releaseOptions)
-        .then(function(response) {
+    return gren.provider.createRelease(releaseOptions)
+        .then(function(release) {
             loaded();
-            var release = response.data;
 
-            console.log(chalk.green(release.name + ' has been successfully created!'));
+            gren.logger.log(chalk.green(release.name + ' has been successfully created!'));
 
             return release;
         });
 }
 
+/**
+ * Print the release that would be created or updated, with the diff
+ * against the current release body, without sending it
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren The gren object
+ * @param  {number|null} releaseId The id of the release to update, if any
+ * @param  {Object} releaseOptions The options to build the release
+ *
+ * @return {Promise}
+ */
+function printRelease(gren, releaseId, releaseOptions) {
+    var currentBody = releaseId ? gren.provider.getRelease(releaseId).then(function(release) {
+        return release.body || '';
+    }) : Promise.resolve('');
+
+    return currentBody.then(function(body) {
+        gren.logger.log(chalk.blue('\n[dry run] ' + (releaseId ? 'Update' : 'Create') + ' release ' + releaseOptions.tag_name));
+        gren.logger.log('tag: ' + releaseOptions.tag_name);
+        gren.logger.log('name: ' + releaseOptions.name);
+        gren.logger.log('draft: ' + releaseOptions.draft);
+        gren.logger.log('prerelease: ' + releaseOptions.prerelease);
+        gren.logger.log('body:\n' + releaseOptions.body);
+
+        if (releaseId) {
+            gren.logger.log(utils.formatDiff(releaseOptions.tag_name, body, releaseOptions.body));
+        }
+    });
+}
+
+/**
+ * Get the current body of a release, to update its section
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren The gren object
+ * @param  {number|null} releaseId The id of the release, if it exists
+ *
+ * @return {Promise} The promise which resolves the body, empty for a new release
+ */
+function getReleaseBody(gren, releaseId) {
+    if (!releaseId || !gren.options.section) {
+        return Promise.resolve('');
+    }
+
+    return gren.provider.getRelease(releaseId)
+        .then(function(release) {
+            return release.body || '';
+        });
+}
+
 /**
  * Creates the options to make the release
  *
@@ -120,17 +223,35 @@ function prepareRelease(gren, block) {
         prerelease: gren.options.prerelease
     };
 
-    if (block.id) {
-        if (!gren.options.override) {
-            console.warn(chalk.black(chalk.bgYellow('Skipping ' + block.release + ' (use --override to replace it)')));
+    if (block.isNext) {
+        releaseOptions.draft = true;
+        releaseOptions.target_commitish = block.target;
+    }
 
-            return Promise.resolve();
-        }
+    if (block.id && !gren.options.override && !gren.options.section) {
+        gren.logger.warn(chalk.black(chalk.bgYellow('Skipping ' + block.release + ' (use --override to replace it, or --section to update its section)')));
 
-        return editRelease(gren, block.id, releaseOptions);
+        return Promise.resolve();
     }
 
-    return createRelease(gren, releaseOptions);
+    return getReleaseBody(gren, block.id)
+        .then(function(currentBody) {
+            if (gren.options.section) {
+                releaseOptions.body = utils.mergeSection(currentBody, releaseOptions.body);
+            }
+
+            return plugins.run(gren, 'beforePublish', releaseOptions, block);
+        })
+        .then(function(releaseOptions) {
+            if (gren.options.dryRun) {
+                return printRelease(gren, block.id, releaseOptions);
+            }
+
+            return (block.id ? editRelease(gren, block.id, releaseOptions) : createRelease(gren, releaseOptions))
+                .then(function(release) {
+                    return plugins.run(gren, 'afterPublish', release, block);
+                });
+        });
 }
 
 /**
@@ -166,6 +287,198 @@ function getSelectedTags(optionTags, tags) {
     }).slice(0, 2);
 }
 
+/**
+ * Get the tags to generate for the prepend mode of the changelog:
+ * from the newest one, back to the newest release already in the file
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} tags The tags, from the newest to the oldest
+ *
+ * @return {Object[]|boolean} The tags, false if they're not generated in prepend mode or the file is empty
+ */
+function getPrependedTags(gren, tags) {
+    if (gren.options.format !== 'markdown' || gren.options.mode !== 'prepend' || !gren.options.generate) {
+        return false;
+    }
+
+    var content = removeUnreleased(gren, readChangelog(gren));
+    var latestIndex = tags.map(function(tag) {
+        return !tag.isNext && releaseHeadingRegExp(gren, { name: gren.options.prefix + tag.name }).test(content);
+    }).indexOf(true);
+
+    if (latestIndex === -1) {
+        if (content.trim()) {
+            throw chalk.red('None of the tags has been found in ' + gren.options.changelogFilename + ', use --tags to choose the releases to add');
+        }
+
+        return false;
+    }
+
+    return tags.slice(0, Math.max(latestIndex + 1, 2));
+}
+
+/**
+ * Get the version of a tag, without the tag prefix of a package
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} name e.g. `@scope/pkg@1.4.0`
+ *
+ * @return {string} e.g. `1.4.0`
+ */
+function getTagVersion(gren, name) {
+    var tagPrefix = gren.options.tagPrefix;
+
+    return tagPrefix && name.indexOf(tagPrefix) === 0 ? name.slice(tagPrefix.length) : name;
+}
+
+/**
+ * Filter the tags with the tag pattern and the ignored tags options.
+ * The tags selected with the tags option are always kept.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} tags
+ *
+ * @return {Object[]}
+ */
+function filterTags(gren, tags) {
+    var tagPattern = gren.options.tagPattern && utils.patternToRegExp(gren.options.tagPattern);
+    var tagPrefix = gren.options.tagPrefix;
+    var ignoreTags = gren.options.ignoreTags.map(utils.patternToRegExp);
+
+    return tags.filter(function(tag) {
+        var version = getTagVersion(gren, tag.name);
+
+        if (gren.options.tags.indexOf(tag.name) !== -1) {
+            return true;
+        }
+
+        if (tagPrefix && tag.name.indexOf(tagPrefix) !== 0) {
+            return false;
+        }
+
+        if (tagPattern && !tagPattern.test(tag.name)) {
+            return false;
+        }
+
+        if (gren.options.ignorePrereleaseTags && semver.valid(version) && semver.prerelease(version)) {
+            return false;
+        }
+
+        return !ignoreTags.some(function(ignoreTag) {
+            return ignoreTag.test(tag.name);
+        });
+    });
+}
+
+/**
+ * Sort the tags from the highest version to the lowest one.
+ * The tags that aren't valid semver keep their order, after the others.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} tags
+ *
+ * @return {Object[]}
+ */
+function sortTags(gren, tags) {
+    if (gren.options.sortTags !== 'semver') {
+        return tags;
+    }
+
+    var semverTags = tags.filter(function(tag) {
+        return semver.valid(getTagVersion(gren, tag.name));
+    });
+    var otherTags = tags.filter(function(tag) {
+        return !semver.valid(getTagVersion(gren, tag.name));
+    });
+
+    return semverTags
+        .sort(function(tag1, tag2) {
+            return semver.rcompare(getTagVersion(gren, tag1.name), getTagVersion(gren, tag2.name));
+        })
+        .concat(otherTags);
+}
+
+/**
+ * Add the tag of the next release, which doesn't exist yet,
+ * before all the other tags
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} tags The tags, from the newest one
+ *
+ * @return {Object[]}
+ */
+function addNextTag(gren, tags) {
+    var next = gren.options.next;
+
+    if (!next) {
+        return tags;
+    }
+
+    var name = typeof next === 'string' ? next : 'Unreleased';
+    var exists = tags.some(function(tag) {
+        return tag.name === name;
+    });
+
+    if (exists) {
+        throw chalk.red('The tag ' + name + ' already exists, remove the --next option to use it');
+    }
+
+    return [{
+        name: name,
+        commit: {},
+        isNext: true
+    }].concat(tags);
+}
+
+/**
+ * Get the last commit of the branch of the next release
+ * ({sha: sha, date: date, target: target})
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {Promise}
+ */
+function getNextHead(gren) {
+    var target = gren.options.target;
+
+    if (gren.options.local) {
+        return githubInfo.head(target || null)
+            .then(function(head) {
+                head.target = target || null;
+
+                return head;
+            });
+    }
+
+    return (target ? Promise.resolve(target) : gren.provider.getDefaultBranch())
+        .then(function(branch) {
+            return gren.provider.getBranchHead(branch)
+                .then(function(head) {
+                    head.target = branch;
+
+                    return head;
+                });
+        });
+}
+
 /**
  * Get all the tags of the repo
  *
@@ -179,12 +492,12 @@ function getSelectedTags(optionTags, tags) {
 function getLastTags(gren, releases) {
     var loaded = utils.task(gren, 'Getting tags');
 
-    return gren.repo.listTags()
-        .then(function(response) {
+    return (gren.options.local ? githubInfo.tags() : gren.provider.getTags())
+        .then(function(allTags) {
             loaded();
 
-            var tags = response.data;
-            var filteredTags = (getSelectedTags(gren.options.tags, tags) || [tags[0], tags[1]])
+            var tags = addNextTag(gren, sortTags(gren, filterTags(gren, allTags)));
+            var filteredTags = (getSelectedTags(gren.options.tags, tags) || getPrependedTags(gren, tags) || [tags[0], tags[1]])
                 .filter(Boolean)
                 .map(function(tag) {
                     var tagRelease = releases && releases.filter(function(release) {
@@ -198,7 +511,7 @@ function getLastTags(gren, releases) {
                     };
                 });
 
-            console.log('Tags found: ' + filteredTags.map(function(tag) {
+            gren.logger.log('Tags found: ' + filteredTags.map(function(tag) {
                 return tag.tag.name;
             }).join(', '));
 
@@ -219,14 +532,29 @@ function getLastTags(gren, releases) {
  */
 function getTagDates(gren, tags) {
     return tags.map(function(tag) {
-        return gren.repo.getCommit(tag.tag.commit.sha)
-            .then(function(response) {
-                return {
-                    id: tag.releaseId,
-                    name: tag.tag.name,
-                    date: response.data.committer.date
-                };
-            });
+        if (tag.tag.isNext) {
+            return getNextHead(gren)
+                .then(function(head) {
+                    return {
+                        id: tag.releaseId,
+                        name: tag.tag.name,
+                        date: head.date,
+                        isNext: true,
+                        target: head.target
+                    };
+                });
+        }
+
+        var tagDate = tag.tag.commit.date ? Promise.resolve(tag.tag.commit.date) : gren.provider.getCommitDate(tag.tag.commit.sha);
+
+        return tagDate.then(function(date) {
+            return {
+                id: tag.releaseId,
+                name: tag.tag.name,
+                date: date,
+                sha: tag.tag.commit.sha
+            };
+        });
     });
 }
 
@@ -243,32 +571,62 @@ function getTagDates(gren, tags) {
 function getListReleases(gren) {
     var loaded = utils.task(gren, 'Getting the list of releases');
 
-    return gren.repo.listReleases()
-        .then(function(response) {
+    return gren.provider.getReleases()
+        .then(function(releases) {
             loaded();
 
-            var releases = response.data;
-
-            process.stdout.write(releases.length + ' releases found\n');
+            gren.logger.write(releases.length + ' releases found\n');
 
             return releases;
         });
 }
 
 /**
- * Return the templated commit message
+ * Create the placeholders of a commit. The trailers of the message
+ * (e.g. `Signed-off-by`) are left out of the `body`.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} commit
+ *
+ * @return {Object}
+ */
+function createCommitData(commit) {
+    var parsed = utils.parseCommitMessage(commit.commit.message);
+    var conventional = conventionalCommits.parse(commit.commit.message);
+    var author = commit.commit.author || {};
+
+    return {
+        sha: commit.sha || '',
+        shortSha: (commit.sha || '').slice(0, 7),
+        url: commit.html_url || '',
+        author: author.name || '',
+        authorLogin: commit.author ? commit.author.login : '',
+        date: author.date ? new Date(author.date) : null,
+        message: commit.commit.message,
+        header: parsed.header,
+        body: parsed.body,
+        trailers: parsed.trailers,
+        type: conventional.type || '',
+        scope: conventional.scope,
+        subject: conventional.subject,
+        breaking: conventional.breaking
+    };
+}
+
+/**
+ * Return the templated commit
  *
  * @since 0.1.0
  * @private
  *
- * @param  {string} message
+ * @param  {Object} commit The placeholders of the commit
  *
  * @return {string}
  */
-function templateCommits(gren, message) {
-    return template.generate({
-        message: message
-    }, gren.options.template.commit);
+function templateCommits(gren, commit) {
+    return template.generate(commit, gren.options.template.commit, gren.options);
 }
 
 /**
@@ -292,8 +650,10 @@ function templateLabels(gren, issue) {
         })
         .map(function(label) {
             return template.generate({
-                label: label.name
-            }, gren.options.template.label);
+                label: label.name,
+                color: label.color || '',
+                description: label.description || ''
+            }, gren.options.template.label, gren.options);
         }).join('');
 }
 
@@ -310,14 +670,38 @@ function templateLabels(gren, issue) {
  */
 function templateReleases(gren, releases) {
     return releases.map(function(release) {
+        if (release.isNext) {
+            return templateUnreleased(gren, release);
+        }
+
         return template.generate({
             release: release.name,
-            date: utils.formatDate(new Date(release.published_at)),
+            date: new Date(release.published_at),
             body: release.body
-        }, gren.options.template.release);
+        }, gren.options.template.release, gren.options);
     }).join(gren.options.template.releaseSeparator);
 }
 
+/**
+ * Generate the section of the changelog of the next release,
+ * which has no tag yet
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} release The block of the next release
+ *
+ * @return {string}
+ */
+function templateUnreleased(gren, release) {
+    return template.generate({
+        release: typeof gren.options.next === 'string' ? release.name : '',
+        date: new Date(release.published_at),
+        body: release.body
+    }, gren.options.template.unreleased, gren.options);
+}
+
 /**
  * Generate the MD template for each issue
  *
@@ -329,12 +713,50 @@ function templateReleases(gren, releases) {
  * @return {string}
  */
 function templateIssue(gren, issue) {
-    return template.generate({
+    var placeholders = {
         labels: templateLabels(gren, issue),
         name: issue.title,
         text: '#' + issue.number,
-        url: issue.html_url
-    }, gren.options.template.issue);
+        url: issue.html_url,
+        author: issue.user ? issue.user.login : '',
+        assignees: (issue.assignees || []).map(function(assignee) {
+            return assignee.login;
+        }),
+        milestone: issue.milestone ? issue.milestone.title : '',
+        closedAt: issue.closed_at ? new Date(issue.closed_at) : null,
+        comments: issue.comments || 0,
+        reactions: issue.reactions ? issue.reactions.total_count : 0
+    };
+
+    if (issue.merge_commit_sha) {
+        placeholders.mergeCommit = issue.merge_commit_sha;
+        placeholders.base = issue.base.ref;
+    }
+
+    return template.generate(placeholders, gren.options.template.issue, gren.options);
+}
+
+/**
+ * Generate the intro of a release from its milestone
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} milestone
+ *
+ * @return {string}
+ */
+function templateMilestone(gren, milestone) {
+    if (!milestone.description) {
+        return '';
+    }
+
+    return template.generate({
+        title: milestone.title,
+        description: milestone.description,
+        url: milestone.html_url
+    }, gren.options.template.milestone, gren.options);
 }
 
 /**
@@ -352,136 +774,453 @@ function templateIssueBody(body, rangeBody) {
 }
 
 /**
- * Generates the template for the groups
+ * Get the current body of the release of a range, which is kept
+ * unless it's overridden. With the section option it's never kept,
+ * since only the section is generated.
  *
- * @since  0.8.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {Object} groups The groups to template e.g.
- * {
- *     'bugs': [{...}, {...}, {...}]
- * }
+ * @param  {Array} range
  *
  * @return {string}
  */
-function templateGroups(gren, groups) {
-    return Object.keys(groups).map(function(group) {
+function getCurrentBody(gren, range) {
+    return gren.options.section ? '' : range[0].body;
+}
+
+/**
+ * Generates the template for the groups
+ *
+ * @since  0.8.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} groups The groups to template e.g.
+ * [
+ *     { heading: 'bugs', items: [{...}, {...}, {...}] }
+ * ]
+ * A group without heading is templated as a plain list.
+ * @param  {Function} templateItem The function to template each item
+ *
+ * @return {string[]}
+ */
+function templateGroups(gren, groups, templateItem) {
+    return groups.map(function(group) {
+        var body = group.items.map(templateItem).join('\n');
+
+        if (!group.heading) {
+            return body;
+        }
+
         var heading = template.generate({
-            heading: group
-        }, gren.options.template.group);
-        var body = groups[group].join('\n');
+            heading: group.heading
+        }, gren.options.template.group, gren.options);
 
         return heading + '\n' + body;
     });
 }
 
 /**
- * Return a commit messages generated body
+ * Create the data of an issue (or a pull request) for the structured formats
  *
- * @since 0.1.0
+ * @since 0.9.0
  * @private
  *
- * @param  {string} message
+ * @param  {Object} issue
  *
- * @return {string}
+ * @return {Object}
  */
-function generateCommitsBody(gren, messages) {
-    messages.length === 1 && messages.push(null);
-    return messages
-        .slice(0, -1)
-        .filter(function(message) {
-            var messageType = gren.options.includeMessages;
-            var filterMap = {
-                merges: function(message) {
-                    return message.match(/^merge/i);
-                },
-                commits: function(message) {
-                    return !message.match(/^merge/i);
-                },
-                all: function() {
-                    return true;
-                }
-            };
-
-            if (filterMap[messageType]) {
-                return filterMap[messageType](message);
-            }
+function createIssueItem(issue) {
+    return {
+        number: issue.number,
+        title: issue.title,
+        url: issue.html_url,
+        labels: issue.labels.map(function(label) {
+            return label.name;
+        }),
+        author: issue.user ? issue.user.login : null
+    };
+}
 
-            return filterMap.commits(message);
-        })
-        .map(templateCommits.bind(null, gren))
-        .join('\n');
+/**
+ * Create the data of a commit for the structured formats
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} commit The placeholders of the commit
+ *
+ * @return {Object}
+ */
+function createCommitItem(commit) {
+    return {
+        sha: commit.sha || null,
+        title: commit.header,
+        message: commit.message,
+        url: commit.url || null,
+        author: commit.authorLogin || commit.author || null
+    };
 }
 
 /**
- * Transforms the commits to commit messages
+ * Create the data of the groups for the structured formats
  *
- * @since 0.1.0
+ * @since 0.9.0
  * @private
  *
- * @param  {Object[]} commits The array of object containing the commits
+ * @param  {Array} groups
+ * @param  {Function} createItem The function creating the data of each item
  *
- * @return {String[]}
+ * @return {Array}
  */
-function commitMessages(commits) {
-    return commits.map(function(commitObject) {
-        return commitObject.commit.message;
+function createGroupsData(groups, createItem) {
+    return groups.map(function(group) {
+        return {
+            heading: group.heading || null,
+            items: group.items.map(createItem)
+        };
     });
 }
 
 /**
- * Gets all the commits between two dates
+ * Create a contributor from a user of the provider
  *
- * @since 0.1.0
+ * @since 0.9.0
  * @private
  *
- * @param  {GithubReleaseNotes} gren The gren object
- * @param  {string} since The since date in ISO
- * @param  {string} until The until date in ISO
+ * @param  {Object} user e.g. `issue.user` or `commit.author`
+ * @param  {string} [association] The `author_association` of the issue or pull request
  *
- * @return {Promise}      The promise which resolves the [Array] commit messages
+ * @return {Object} ({login: login, name: name, url: url, avatar: avatar, isBot: isBot, firstTime: firstTime})
  */
-function getCommitsBetweenTwo(gren, since, until) {
-    process.stdout.write(chalk.green('Get commits between ' + utils.formatDate(new Date(since)) + ' and ' + utils.formatDate(new Date(until)) + '\n'));
-
-    var options = {
-        since: since,
-        until: until,
-        per_page: 100
+function createContributor(user, association) {
+    return {
+        login: user.login || null,
+        name: user.name || user.login,
+        url: user.html_url || null,
+        avatar: user.avatar_url || null,
+        isBot: user.type === 'Bot',
+        firstTime: association === 'FIRST_TIME_CONTRIBUTOR' || association === 'FIRST_TIMER'
     };
-
-    return gren.repo.listCommits(options)
-        .then(function(response) {
-            return commitMessages(response.data);
-        });
 }
 
 /**
- * Get the blocks of commits based on release dates
+ * Remove the bots, the ignored contributors and the duplicates
  *
- * @since 0.5.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {Array} releaseRanges The array of date ranges
+ * @param  {Object[]} contributors
  *
- * @return {Promise[]}
+ * @return {Object[]}
  */
-function getCommitBlocks(gren, releaseRanges) {
-    console.log(chalk.blue('\nCreating the body blocks from commits:'));
+function filterContributors(gren, contributors) {
+    var ignored = gren.options.ignoreContributors.map(utils.patternToRegExp);
+    var unique = {};
+
+    return contributors.filter(function(contributor) {
+        var key = contributor.login || contributor.name;
+        var isIgnored = contributor.isBot || !key || ignored.some(function(pattern) {
+            return pattern.test(key);
+        });
 
-    return Promise.all(
-        releaseRanges
+        if (isIgnored) {
+            return false;
+        }
+
+        if (unique[key]) {
+            unique[key].firstTime = unique[key].firstTime || contributor.firstTime;
+
+            return false;
+        }
+
+        unique[key] = contributor;
+
+        return true;
+    });
+}
+
+/**
+ * Get the contributors of a list of issues or pull requests:
+ * their authors and their assignees
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} issues
+ *
+ * @return {Object[]}
+ */
+function getIssueContributors(gren, issues) {
+    return filterContributors(gren, issues.reduce(function(carry, issue) {
+        var authors = issue.user ? [createContributor(issue.user, issue.author_association)] : [];
+
+        return carry.concat(authors, (issue.assignees || []).map(function(assignee) {
+            return createContributor(assignee);
+        }));
+    }, []));
+}
+
+/**
+ * Get the authors of a list of commits. The commits without
+ * a linked account use the name of the git author.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} commits
+ *
+ * @return {Object[]}
+ */
+function getCommitContributors(gren, commits) {
+    return filterContributors(gren, commits.map(function(commit) {
+        return createContributor(commit.author || { name: commit.commit.author && commit.commit.author.name });
+    }));
+}
+
+/**
+ * Mark the first-time contributors and add the contributors section
+ * at the end of the body of each release. When the releases go back
+ * to the beginning of the repo, the contributors who don't appear in
+ * any older release are first-time contributors as well.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} blocks The release blocks, from the newest one
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Object[]}
+ */
+function addContributors(gren, blocks, releaseRanges) {
+    var isFullHistory = !releaseRanges.length || new Date(releaseRanges[releaseRanges.length - 1][1].date).getTime() === 0;
+    var seen = {};
+
+    blocks.slice().reverse().forEach(function(block) {
+        block.contributors.forEach(function(contributor) {
+            var key = contributor.login || contributor.name;
+
+            contributor.firstTime = contributor.firstTime || (isFullHistory && !seen[key]);
+        });
+        block.contributors.forEach(function(contributor) {
+            seen[contributor.login || contributor.name] = true;
+        });
+    });
+
+    return blocks.map(function(block) {
+        block.body += templateContributors(gren, block.contributors);
+
+        return block;
+    });
+}
+
+/**
+ * Generate the contributors section of a release
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} contributors
+ *
+ * @return {string}
+ */
+function templateContributors(gren, contributors) {
+    if (!contributors.length) {
+        return '';
+    }
+
+    return template.generate({
+        contributors: contributors.map(function(contributor) {
+            return template.generate(contributor, gren.options.template.contributor, gren.options);
+        }).join('\n')
+    }, gren.options.template.contributors, gren.options);
+}
+
+/**
+ * Group the commits by their Conventional Commits type,
+ * using the headings from the commitTypes option
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} commits The placeholders of the commits
+ *
+ * @return {Array}
+ */
+function groupCommitsByType(gren, commits) {
+    var headings = gren.options.commitTypes;
+    var groups = commits.reduce(function(carry, commit) {
+        var type = commit.breaking ? 'breaking' : commit.type;
+        var heading = headings.hasOwnProperty(type) ? headings[type] : headings['...'];
+
+        if (heading) {
+            carry[heading] = (carry[heading] || []).concat(commit);
+        }
+
+        return carry;
+    }, {});
+
+    return Object.keys(headings)
+        .map(function(type) {
+            return headings[type];
+        })
+        .filter(function(heading, index, allHeadings) {
+            return groups[heading] && allHeadings.indexOf(heading) === index;
+        })
+        .map(function(heading) {
+            return {
+                heading: heading,
+                items: groups[heading]
+            };
+        });
+}
+
+/**
+ * Create the groups of commits
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} commits The placeholders of the commits
+ *
+ * @return {Array}
+ */
+function groupCommits(gren, commits) {
+    if (gren.options.groupBy === 'type') {
+        return groupCommitsByType(gren, commits);
+    }
+
+    return commits.length ? [{ heading: false, items: commits }] : [];
+}
+
+/**
+ * Check if a commit belongs to the previous release: the commit of the tag
+ * the range starts from, or an older one. The commits of the tag date are
+ * returned since the date filter includes it.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Array} range The range of release dates
+ * @param  {Object} commit
+ *
+ * @return {boolean}
+ */
+function isPreviousCommit(range, commit) {
+    var committer = commit.commit.committer;
+
+    if (range[1].sha && commit.sha === range[1].sha) {
+        return true;
+    }
+
+    return !!(committer && committer.date) && utils.toUTCTimestamp(committer.date) <= utils.toUTCTimestamp(range[1].date);
+}
+
+/**
+ * Filter the commits of a range with the includeMessages option,
+ * leaving out the ones of the previous release
+ *
+ * @since 0.1.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} commits
+ * @param  {Array} range The range of release dates
+ *
+ * @return {Object[]}
+ */
+function filterCommits(gren, commits, range) {
+    return commits
+        .filter(function(commit) {
+            return !isPreviousCommit(range, commit);
+        })
+        .filter(function(commit) {
+            var message = commit.commit.message;
+            var messageType = gren.options.includeMessages;
+            var filterMap = {
+                merges: function(message) {
+                    return message.match(/^merge/i);
+                },
+                commits: function(message) {
+                    return !message.match(/^merge/i);
+                },
+                all: function() {
+                    return true;
+                }
+            };
+
+            if (filterMap[messageType]) {
+                return filterMap[messageType](message);
+            }
+
+            return filterMap.commits(message);
+        });
+}
+
+/**
+ * Gets all the commits between two dates
+ *
+ * @since 0.1.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren The gren object
+ * @param  {string} since The since date in ISO
+ * @param  {string} until The until date in ISO
+ * @param  {string} [ref] The branch of the commits, the default one if not set
+ *
+ * @return {Promise}      The promise which resolves the [Array] commits
+ */
+function getCommitsBetweenTwo(gren, since, until, ref) {
+    var path = gren.options.path;
+
+    gren.logger.write(chalk.green('Get commits between ' + utils.formatDate(new Date(since), gren.options.dateFormat, gren.options) + ' and ' + utils.formatDate(new Date(until), gren.options.dateFormat, gren.options) + '\n'));
+
+    return gren.options.local ? githubInfo.commits(since, until, ref, path) : gren.provider.getCommits(since, until, ref, path);
+}
+
+/**
+ * Get the blocks of commits based on release dates
+ *
+ * @since 0.5.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Promise[]}
+ */
+function getCommitBlocks(gren, releaseRanges) {
+    gren.logger.log(chalk.blue('\nCreating the body blocks from commits:'));
+
+    return Promise.all(
+        releaseRanges
             .map(function(range) {
-                return getCommitsBetweenTwo(gren, range[1].date, range[0].date)
+                return getCommitsBetweenTwo(gren, range[1].date, range[0].date, range[0].target)
                     .then(function(commits) {
+                        return plugins.map(gren, 'transformCommit', filterCommits(gren, commits, range));
+                    })
+                    .then(function(filteredCommits) {
+                        var groups = groupCommits(gren, filteredCommits.map(createCommitData));
+
                         return {
                             id: range[0].id,
                             name: gren.options.prefix + range[0].name,
                             release: range[0].name,
                             published_at: range[0].date,
-                            body: generateCommitsBody(gren, commits) + '\n'
+                            isNext: !!range[0].isNext,
+                            target: range[0].target,
+                            body: templateGroups(gren, groups, templateCommits.bind(null, gren)).join('\n') + '\n',
+                            groups: createGroupsData(groups, createCommitItem),
+                            contributors: getCommitContributors(gren, filteredCommits)
                         };
                     });
             })
@@ -508,6 +1247,68 @@ function compareIssueLabels(ignoreLabels, labels) {
         }, true);
 }
 
+/**
+ * Check if an issue (or a pull request) matches the filters of the options:
+ * the labels, the author, the milestone and the title
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} issue
+ *
+ * @return {boolean}
+ */
+function isIssueIncluded(gren, issue) {
+    var options = gren.options;
+    var labels = issue.labels.map(function(label) {
+        return label.name;
+    });
+    var hasLabel = function(label) {
+        return labels.indexOf(label) !== -1;
+    };
+    var matches = function(patterns, value) {
+        return !!value && patterns.some(function(pattern) {
+            return utils.patternToRegExp(pattern).test(value);
+        });
+    };
+    var milestone = issue.milestone && issue.milestone.title;
+
+    if (!compareIssueLabels(options.ignoreIssuesWith, issue.labels)) {
+        return false;
+    }
+
+    if (options.onlyIssuesWith.length && !options.onlyIssuesWith[options.onlyIssuesMatch === 'all' ? 'every' : 'some'](hasLabel)) {
+        return false;
+    }
+
+    if (options.onlyMilestones.length && !matches(options.onlyMilestones, milestone)) {
+        return false;
+    }
+
+    return !matches(options.ignoreIssuesFrom, issue.user && issue.user.login) &&
+        !matches(options.ignoreMilestones, milestone) &&
+        !matches(options.ignoreTitlePattern, issue.title);
+}
+
+/**
+ * Filter and transform the issues (or the pull requests) with the plugins
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object[]} issues
+ *
+ * @return {Promise} The promise which resolves the list of the issues
+ */
+function applyIssuePlugins(gren, issues) {
+    return plugins.filter(gren, 'filterIssue', issues)
+        .then(function(filteredIssues) {
+            return plugins.map(gren, 'transformIssue', filteredIssues);
+        });
+}
+
 /**
  * Get all the closed issues from the current repo
  *
@@ -522,244 +1323,892 @@ function compareIssueLabels(ignoreLabels, labels) {
 function getClosedIssues(gren, releaseRanges) {
     var loaded = utils.task(gren, 'Getting all closed issues');
 
-    return gren.issues.listIssues({
-        state: 'closed',
+    return gren.provider.getClosedIssues({
         since: releaseRanges[releaseRanges.length - 1][1].date
     })
-    .then(function(response) {
+    .then(function(issues) {
         loaded();
 
-        var filteredIssues = response.data.filter(function(issue) {
-            return !issue.pull_request && compareIssueLabels(gren.options.ignoreIssuesWith, issue.labels);
-        });
-
-        process.stdout.write(filteredIssues.length + ' issues found\n');
+        return applyIssuePlugins(gren, issues.filter(isIssueIncluded.bind(null, gren)));
+    })
+    .then(function(filteredIssues) {
+        gren.logger.write(filteredIssues.length + ' issues found\n');
 
         return filteredIssues;
     });
 }
 
 /**
- * Group the issues based on their first label
+ * Keep the pull requests changing the files in the directory
+ * of the package, if there is one
  *
- * @since 0.8.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {Array} issues
+ * @param  {Object[]} pullRequests
  *
- * @return {string}
+ * @return {Promise} The promise which resolves the list of the pull requests
  */
-function groupByLabel(gren, issues) {
-    var groups = [];
-
-    issues.forEach(function(issue) {
-        if (!issue.labels.length && gren.options.template.noLabel) {
-            issue.labels.push({name: gren.options.template.noLabel});
-        }
-
-        var labelName = issue.labels[0].name;
+function filterPullRequestsByPath(gren, pullRequests) {
+    var path = gren.options.path;
 
-        if (!groups[labelName]) {
-            groups[labelName] = [];
-        }
+    if (!path) {
+        return Promise.resolve(pullRequests);
+    }
 
-        groups[labelName].push(templateIssue(gren, issue));
+    return Promise.all(pullRequests.map(function(pullRequest) {
+        return gren.provider.getPullRequestFiles(pullRequest.number);
+    }))
+    .then(function(pullRequestFiles) {
+        return pullRequests.filter(function(pullRequest, index) {
+            return pullRequestFiles[index].some(function(file) {
+                return file === path || file.indexOf(path + '/') === 0;
+            });
+        });
     });
-
-    return templateGroups(gren, utils.sortObject(groups));
 }
 
 /**
- * Create groups of issues based on labels
+ * Get all the pull requests merged since the oldest release date
  *
- * @since  0.8.0
+ * @since 0.9.0
  * @private
  *
- * @param {GithubReleaseNotes} gren
- * @param  {Array} issues The array of all the issues.
+ * @param  {GithubReleaseNotes} gren The gren object
+ * @param  {Array} releaseRanges The array of date ranges
  *
- * @return {Array}
+ * @return {Promise} The promise which resolves the list of the pull requests
  */
-function groupBy(gren, issues) {
-    var groupBy = gren.options.groupBy;
+function getMergedPullRequests(gren, releaseRanges) {
+    var loaded = utils.task(gren, 'Getting all merged pull requests');
+    var since = utils.toUTCTimestamp(releaseRanges[releaseRanges.length - 1][1].date);
 
-    if (!groupBy) {
-        return issues.map(templateIssue.bind(null, gren));
-    }
+    return gren.provider.getMergedPullRequests(new Date(since).toISOString())
+    .then(function(pullRequests) {
+        loaded();
 
-    if (groupBy === 'label') {
-        return groupByLabel(gren, issues);
-    }
+        return filterPullRequestsByPath(gren, pullRequests.filter(function(pullRequest) {
+            return utils.toUTCTimestamp(pullRequest.merged_at) >= since && isIssueIncluded(gren, pullRequest);
+        }));
+    })
+    .then(function(pullRequests) {
+        return applyIssuePlugins(gren, pullRequests);
+    })
+    .then(function(filteredPullRequests) {
+        gren.logger.write(filteredPullRequests.length + ' pull requests found\n');
 
-    if (typeof groupBy !== 'object') {
-        throw chalk.red('The option for groupBy is invalid, please check the documentation');
-    }
+        return filteredPullRequests;
+    });
+}
 
-    var allLabels = Object.keys(groupBy).reduce(function(carry, group) {
-        return carry.concat(groupBy[group]);
-    }, []);
+/**
+ * Get all the milestones of the repo
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren The gren object
+ *
+ * @return {Promise} The promise which resolves the list of the milestones
+ */
+function getMilestones(gren) {
+    var loaded = utils.task(gren, 'Getting all milestones');
 
-    var groups = Object.keys(groupBy).reduce(function(carry, group) {
-        var groupIssues = issues.filter(function(issue) {
-            if (!issue.labels.length && gren.options.template.noLabel) {
-                issue.labels.push({name: gren.options.template.noLabel});
-            }
+    return gren.provider.getMilestones()
+    .then(function(milestones) {
+        loaded();
+
+        gren.logger.write(milestones.length + ' milestones found\n');
+
+        return milestones;
+    });
+}
+
+/**
+ * Get the closed issues of a milestone, whatever their close date
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren The gren object
+ * @param  {Object} milestone
+ *
+ * @return {Promise} The promise which resolves the list of the issues
+ */
+function getMilestoneIssues(gren, milestone) {
+    return gren.provider.getClosedIssues({
+        milestone: milestone
+    })
+    .then(function(issues) {
+        return applyIssuePlugins(gren, issues.filter(isIssueIncluded.bind(null, gren)));
+    });
+}
+
+/**
+ * Group the issues based on their first label
+ *
+ * @since 0.8.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} issues
+ *
+ * @return {Array}
+ */
+function groupByLabel(gren, issues) {
+    var groups = {};
+
+    issues.forEach(function(issue) {
+        if (!issue.labels.length && gren.options.template.noLabel) {
+            issue.labels.push({name: gren.options.template.noLabel});
+        }
+
+        var labelName = issue.labels[0].name;
+
+        if (!groups[labelName]) {
+            groups[labelName] = [];
+        }
+
+        groups[labelName].push(issue);
+    });
+
+    var sortedGroups = utils.sortObject(groups);
+
+    return Object.keys(sortedGroups).map(function(labelName) {
+        return {
+            heading: labelName,
+            items: sortedGroups[labelName]
+        };
+    });
+}
+
+/**
+ * Create groups of issues based on labels
+ *
+ * @since  0.8.0
+ * @private
+ *
+ * @param {GithubReleaseNotes} gren
+ * @param  {Array} issues The array of all the issues.
+ *
+ * @return {Array} The groups e.g. [{ heading: 'bugs', items: [{...}, {...}] }]
+ */
+function groupBy(gren, issues) {
+    var groupBy = gren.options.groupBy;
+
+    if (!groupBy) {
+        return issues.length ? [{ heading: false, items: issues }] : [];
+    }
+
+    if (groupBy === 'label') {
+        return groupByLabel(gren, issues);
+    }
+
+    if (typeof groupBy !== 'object') {
+        throw chalk.red('The option for groupBy is invalid, please check the documentation');
+    }
+
+    var allLabels = Object.keys(groupBy).reduce(function(carry, group) {
+        return carry.concat(groupBy[group]);
+    }, []);
+
+    var groups = Object.keys(groupBy).reduce(function(carry, group) {
+        var groupIssues = issues.filter(function(issue) {
+            if (!issue.labels.length && gren.options.template.noLabel) {
+                issue.labels.push({name: gren.options.template.noLabel});
+            }
 
             return issue.labels.some(function(label) {
                 var isOtherLabel = groupBy[group].indexOf('...') !== -1 && allLabels.indexOf(label.name) === -1;
 
                 return groupBy[group].indexOf(label.name) !== -1 || isOtherLabel;
             });
-        }).map(templateIssue.bind(null, gren));
+        });
 
         if (groupIssues.length) {
-            carry[group] = groupIssues;
+            carry.push({
+                heading: group,
+                items: groupIssues
+            });
         }
 
         return carry;
-    }, {});
+    }, []);
+
+    return groups;
+}
+
+/**
+ * Get the references of the commits of each release range: the closed issues,
+ * the merged pull requests and the shas of the commits. The issues closed by the
+ * referenced pull requests are added too. The commits are the ones of the tag
+ * of the release, so the fixes of a maintenance branch are in its releases.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Promise} The promise which resolves the references of each range ({issues: issues, pullRequests: pullRequests, shas: shas})
+ */
+function getRangeReferences(gren, releaseRanges) {
+    var since = new Date(utils.toUTCTimestamp(releaseRanges[releaseRanges.length - 1][1].date)).toISOString();
+
+    return Promise.all([
+        Promise.all(releaseRanges.map(function(range) {
+            return getCommitsBetweenTwo(gren, range[1].date, range[0].date, range[0].isNext ? range[0].target : range[0].name);
+        })),
+        gren.options.dataSource === 'issues' ? gren.provider.getMergedPullRequests(since) : []
+    ])
+    .then(function(data) {
+        var pullRequests = data[1];
+
+        return data[0].map(function(commits) {
+            var references = {
+                issues: [],
+                pullRequests: [],
+                shas: []
+            };
+
+            commits.forEach(function(commit) {
+                var commitReferences = utils.getIssueReferences(commit.commit.message);
+
+                references.issues = references.issues.concat(commitReferences.issues);
+                references.pullRequests = references.pullRequests.concat(commitReferences.pullRequests);
+                references.shas.push(commit.sha);
+            });
+
+            pullRequests
+                .filter(function(pullRequest) {
+                    return references.pullRequests.indexOf(pullRequest.number) !== -1 || references.shas.indexOf(pullRequest.merge_commit_sha) !== -1;
+                })
+                .forEach(function(pullRequest) {
+                    references.issues = references.issues.concat(utils.getIssueReferences(pullRequest.body).issues);
+                });
+
+            return references;
+        });
+    });
+}
+
+/**
+ * Get the index of the release range of each issue (or pull request), -1 if it's
+ * not in any of them. By default, it's the range of the date the issue has been
+ * closed (or merged). With the commits attribution, it's the oldest range with
+ * a commit referencing the issue, falling back to the date with a warning.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ * @param  {Array} issues The issues to split into the ranges
+ * @param  {string} dateField The property of the issue with the date e.g. `closed_at`
+ *
+ * @return {Promise} The promise which resolves the indexes of the ranges
+ */
+function getIssueRanges(gren, releaseRanges, issues, dateField) {
+    var dateRanges = issues.map(function(issue) {
+        return releaseRanges.map(function(range) {
+            return utils.isInRange(issue[dateField], range[1].date, range[0].date);
+        }).indexOf(true);
+    });
+
+    if (gren.options.attribution !== 'commits') {
+        return Promise.resolve(dateRanges);
+    }
+
+    return getRangeReferences(gren, releaseRanges)
+        .then(function(rangeReferences) {
+            return issues.map(function(issue, index) {
+                var referenceRange = rangeReferences.map(function(references) {
+                    if (dateField === 'merged_at') {
+                        return references.pullRequests.indexOf(issue.number) !== -1 || references.shas.indexOf(issue.merge_commit_sha) !== -1;
+                    }
+
+                    return references.issues.indexOf(issue.number) !== -1;
+                }).lastIndexOf(true);
+
+                if (referenceRange === -1 && dateRanges[index] !== -1) {
+                    gren.logger.warn(chalk.yellow('WARNING: #' + issue.number + ' is not referenced by any commit, it has been added to ' + releaseRanges[dateRanges[index]][0].name + ' by its date'));
+                }
+
+                return referenceRange === -1 ? dateRanges[index] : referenceRange;
+            });
+        });
+}
+
+/**
+ * Create the release blocks from a list of issues, based on the
+ * release range of each issue
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ * @param  {Array} issues The issues to split into the ranges
+ * @param  {number[]} issueRanges The index of the range of each issue
+ *
+ * @return {Array}
+ */
+function createIssueBlocks(gren, releaseRanges, issues, issueRanges) {
+    return releaseRanges
+        .map(function(range, rangeIndex) {
+            var filteredIssues = issues.filter(function(issue, index) {
+                return issueRanges[index] === rangeIndex;
+            });
+
+            var groups = groupBy(gren, filteredIssues);
+            var body = (!getCurrentBody(gren, range) || gren.options.override) && templateGroups(gren, groups, templateIssue.bind(null, gren));
+
+            return {
+                id: range[0].id,
+                release: range[0].name,
+                name: gren.options.prefix + range[0].name,
+                published_at: range[0].date,
+                isNext: !!range[0].isNext,
+                target: range[0].target,
+                body: templateIssueBody(body, getCurrentBody(gren, range)),
+                groups: createGroupsData(groups, createIssueItem),
+                contributors: body ? getIssueContributors(gren, filteredIssues) : []
+            };
+        });
+}
+
+/**
+ * Get the blocks of issues based on release dates
+ *
+ * @since 0.5.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Promise[]}
+ */
+function getIssueBlocks(gren, releaseRanges) {
+    gren.logger.log('Creating the body blocks from releases:');
+
+    return getClosedIssues(gren, releaseRanges)
+        .then(function(issues) {
+            return getIssueRanges(gren, releaseRanges, issues, 'closed_at')
+                .then(function(issueRanges) {
+                    return createIssueBlocks(gren, releaseRanges, issues, issueRanges);
+                });
+        });
+}
+
+/**
+ * Get the blocks of pull requests based on release dates
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Promise[]}
+ */
+function getPullRequestBlocks(gren, releaseRanges) {
+    gren.logger.log('Creating the body blocks from pull requests:');
+
+    return getMergedPullRequests(gren, releaseRanges)
+        .then(function(pullRequests) {
+            return getIssueRanges(gren, releaseRanges, pullRequests, 'merged_at')
+                .then(function(issueRanges) {
+                    return createIssueBlocks(gren, releaseRanges, pullRequests, issueRanges);
+                });
+        });
+}
+
+/**
+ * Get the blocks of issues based on the milestone matching each tag
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseRanges The array of date ranges
+ *
+ * @return {Promise[]}
+ */
+function getMilestoneBlocks(gren, releaseRanges) {
+    gren.logger.log('Creating the body blocks from milestones:');
+
+    return getMilestones(gren)
+        .then(function(milestones) {
+            return Promise.all(releaseRanges.map(function(range) {
+                var milestoneTitle = template.generate({
+                    tag: range[0].name
+                }, gren.options.milestoneMatch, gren.options);
+                var milestone = milestones.filter(function(milestone) {
+                    return milestone.title === milestoneTitle;
+                })[0];
+                var block = {
+                    id: range[0].id,
+                    release: range[0].name,
+                    name: gren.options.prefix + range[0].name,
+                    published_at: range[0].date,
+                    isNext: !!range[0].isNext,
+                    target: range[0].target
+                };
+
+                if (!milestone) {
+                    gren.logger.warn(chalk.yellow('No milestone "' + milestoneTitle + '" found for ' + range[0].name));
+                    block.body = templateIssueBody([], getCurrentBody(gren, range));
+                    block.groups = [];
+                    block.contributors = [];
+
+                    return block;
+                }
+
+                return getMilestoneIssues(gren, milestone)
+                    .then(function(issues) {
+                        var groups = groupBy(gren, issues);
+                        var body = (!getCurrentBody(gren, range) || gren.options.override) && templateGroups(gren, groups, templateIssue.bind(null, gren));
+
+                        block.body = templateMilestone(gren, milestone) + templateIssueBody(body, getCurrentBody(gren, range));
+                        block.groups = createGroupsData(groups, createIssueItem);
+                        block.contributors = body ? getIssueContributors(gren, issues) : [];
+
+                        return block;
+                    });
+            }));
+        });
+}
+
+/**
+ * Sort releases by dates
+ *
+ * @since 0.5.0
+ * @private
+ *
+ * @param {Array} releaseDates
+ *
+ * @return {Array}
+ */
+function sortReleasesByDate(releaseDates) {
+    return releaseDates.sort(function(release1, release2) {
+        return new Date(release2.date) - new Date(release1.date);
+    });
+}
+
+/**
+ * Create the ranges of release dates
+ *
+ * @since 0.5.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releaseDates The release dates
+ *
+ * @return {Array}
+ */
+function createReleaseRanges(gren, releaseDates) {
+    var ranges = [];
+    var range = 2;
+    var sortedReleaseDates = sortReleasesByDate(releaseDates);
+
+    if (sortedReleaseDates.length === 1 || gren.options.timeWrap === 'history') {
+        sortedReleaseDates.push({
+            id: 0,
+            date: new Date(0)
+        });
+    }
+
+    for (var i = 0; i < sortedReleaseDates.length - 1; i++) {
+        ranges.push(sortedReleaseDates.slice(i, i + range));
+    }
+
+    return ranges;
+}
+
+/**
+ * Get the ranges of release dates of the tags
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {boolean} [skipReleases] Don't get the existing releases (e.g. for an offline changelog)
+ *
+ * @return {Promise} Resolving the release ranges
+ */
+function getReleaseRanges(gren, skipReleases) {
+    var loaded;
+
+    return (skipReleases ? Promise.resolve([]) : getListReleases(gren))
+        .then(function(releases) {
+            return getLastTags(gren, releases.length ? releases : false);
+        })
+        .then(function(tags) {
+            loaded = utils.task(gren, 'Getting the tag dates ranges');
+
+            return Promise.all(getTagDates(gren, tags));
+        })
+        .then(function(releaseDates) {
+            loaded();
+
+            return createReleaseRanges(gren, releaseDates);
+        });
+}
+
+/**
+ * Generate release blocks based on issues or commit messages
+ * depending on the option.
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {boolean} [skipReleases] Don't get the existing releases (e.g. for an offline changelog)
+ *
+ * @return {Promise} Resolving the release blocks
+ */
+function getReleaseBlocks(gren, skipReleases) {
+    var dataSource = {
+        issues: getIssueBlocks,
+        commits: getCommitBlocks,
+        prs: getPullRequestBlocks,
+        milestones: getMilestoneBlocks
+    };
+
+    return getReleaseRanges(gren, skipReleases)
+        .then(function(releaseRanges) {
+            return dataSource[gren.options.dataSource](gren, releaseRanges)
+                .then(function(blocks) {
+                    return gren.options.contributors ? addContributors(gren, blocks, releaseRanges) : blocks;
+                })
+                .then(function(blocks) {
+                    return plugins.map(gren, 'transformBlock', blocks);
+                });
+        });
+}
+
+/**
+ * Get the changes of a release range, with the keys matched against
+ * the bump rules: the commits, the merged pull requests or the closed issues
+ * (also for the milestones) depending on the data source
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Array} range The range of release dates
+ *
+ * @return {Promise} Resolving the changes ({title: title, keys: keys})
+ */
+function getBumpChanges(gren, range) {
+    var dateField = gren.options.dataSource === 'prs' ? 'merged_at' : 'closed_at';
+
+    if (gren.options.dataSource === 'commits') {
+        return getCommitsBetweenTwo(gren, range[1].date, range[0].date, range[0].target)
+            .then(function(commits) {
+                return plugins.map(gren, 'transformCommit', filterCommits(gren, commits, range));
+            })
+            .then(function(commits) {
+                return commits.map(function(commit) {
+                    return {
+                        title: commit.commit.message.split('\n')[0],
+                        keys: bump.getKeys(commit.commit.message)
+                    };
+                });
+            });
+    }
+
+    return (dateField === 'merged_at' ? getMergedPullRequests(gren, [range]) : getClosedIssues(gren, [range]))
+        .then(function(issues) {
+            return issues
+                .filter(function(issue) {
+                    return utils.isInRange(issue[dateField], range[1].date, range[0].date);
+                })
+                .map(function(issue) {
+                    return {
+                        title: '#' + issue.number + ' ' + issue.title,
+                        keys: bump.getKeys(issue.title, issue.labels)
+                    };
+                });
+        });
+}
+
+/**
+ * Print the next version
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} result The next version ({current: current, next: next, bump: bump, changes: changes, reasons: reasons})
+ */
+function printBump(gren, result) {
+    if (!result.bump) {
+        gren.logger.log(chalk.yellow('\nThere are no changes since ' + result.current));
+
+        return;
+    }
+
+    gren.logger.log(chalk.green('\nNext version: ' + result.next) + ' (' + result.bump + ' bump from ' + result.current + ', ' + result.changes + ' changes)');
+    result.reasons.forEach(function(reason) {
+        gren.logger.log('- ' + reason);
+    });
+}
+
+/**
+ * Check if the changelog file exists
+ *
+ * @since 0.8.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {Promise}
+ */
+function checkChangelogFile(gren) {
+    var filePath = process.cwd() + '/' + gren.options.changelogFilename;
+    var canWrite = gren.options.override || gren.options.mode === 'prepend' || gren.options.dryRun;
+
+    if (fs.existsSync(filePath) && !canWrite) {
+        return Promise.reject(chalk.red('Looks like there is already a changelog, to override it use --override, or use --mode=prepend to add the new releases'));
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Read the current changelog file
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {string} The content of the file, or an empty string if it doesn't exist
+ */
+function readChangelog(gren) {
+    var filePath = process.cwd() + '/' + gren.options.changelogFilename;
 
-    return templateGroups(gren, groups);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
 }
 
 /**
- * Get the blocks of issues based on release dates
+ * Create a RegExp matching the heading line of a release,
+ * as generated by the release template, whatever its date
+ * (or with its current date, when the date is filtered)
  *
- * @since 0.5.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {Array} releaseRanges The array of date ranges
+ * @param  {Object} release
  *
- * @return {Promise[]}
+ * @return {RegExp}
  */
-function getIssueBlocks(gren, releaseRanges) {
-    console.log('Creating the body blocks from releases:');
+function releaseHeadingRegExp(gren, release) {
+    var dateToken = '__GREN_DATE__';
+    var headings = [dateToken, new Date(release.published_at)].map(function(date) {
+        return template.generate({
+            release: release.name,
+            date: date,
+            body: ''
+        }, gren.options.template.release, gren.options).split('\n')[0];
+    });
+    var escapedHeadings = headings.map(function(heading) {
+        return heading
+            .split(dateToken)
+            .map(function(part) {
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('.*');
+    });
 
-    return getClosedIssues(gren, releaseRanges)
-        .then(function(issues) {
-            return releaseRanges
-                .map(function(range) {
-                    var filteredIssues = issues.filter(function(issue) {
-                        return utils.isInRange(
-                            Date.parse(issue.closed_at),
-                            Date.parse(range[1].date),
-                            Date.parse(range[0].date)
-                        );
-                    });
+    return new RegExp('^(?:' + escapedHeadings.join('|') + ')$', 'm');
+}
 
-                    var body = (!range[0].body || gren.options.override) && groupBy(gren, filteredIssues);
+/**
+ * Create the RegExp matching the heading of the section of the next
+ * release, with or without its tag
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ *
+ * @return {RegExp}
+ */
+function unreleasedHeadingRegExp(gren) {
+    var releaseToken = '__GREN_RELEASE__';
+    var headings = ['', releaseToken].map(function(release) {
+        return template.generate({
+            release: release,
+            date: releaseToken,
+            body: ''
+        }, gren.options.template.unreleased, gren.options).split('\n')[0];
+    });
+    var escapedHeadings = headings.map(function(heading) {
+        return heading
+            .split(releaseToken)
+            .map(function(part) {
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('.*');
+    });
 
-                    return {
-                        id: range[0].id,
-                        release: range[0].name,
-                        name: gren.options.prefix + range[0].name,
-                        published_at: range[0].date,
-                        body: templateIssueBody(body, range[0].body)
-                    };
-                });
-        });
+    return new RegExp('^(?:' + escapedHeadings.join('|') + ')$');
 }
 
 /**
- * Sort releases by dates
+ * Create the RegExp matching the heading of the section of any release
  *
- * @since 0.5.0
+ * @since 0.9.0
  * @private
  *
- * @param {Array} releaseDates
+ * @param  {GithubReleaseNotes} gren
  *
- * @return {Array}
+ * @return {RegExp}
  */
-function sortReleasesByDate(releaseDates) {
-    return releaseDates.sort(function(release1, release2) {
-        return new Date(release2.date) - new Date(release1.date);
-    });
+function anyReleaseHeadingRegExp(gren) {
+    var token = '__GREN_TOKEN__';
+    var heading = template.generate({
+        release: token,
+        date: token,
+        body: ''
+    }, gren.options.template.release, gren.options).split('\n')[0];
+
+    return new RegExp('^' + heading
+        .split(token)
+        .map(function(part) {
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('.*') + '$');
 }
 
 /**
- * Create the ranges of release dates
+ * Find where the sections of the releases start in the changelog,
+ * after its title and its intro
  *
- * @since 0.5.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {Array} releaseDates The release dates
+ * @param  {string} content The content of the changelog file
  *
- * @return {Array}
+ * @return {number} The index of the first heading of a release, -1 if there isn't any
  */
-function createReleaseRanges(gren, releaseDates) {
-    var ranges = [];
-    var range = 2;
-    var sortedReleaseDates = sortReleasesByDate(releaseDates);
+function findReleasesIndex(gren, content) {
+    var headings = [anyReleaseHeadingRegExp(gren), unreleasedHeadingRegExp(gren)];
+    var index = 0;
+    var lines = content.split('\n');
+
+    for (var i = 0; i < lines.length; i++) {
+        if (headings.some(function(heading) {
+            return heading.test(lines[i]);
+        })) {
+            return index;
+        }
 
-    if (sortedReleaseDates.length === 1 || gren.options.timeWrap === 'history') {
-        sortedReleaseDates.push({
-            id: 0,
-            date: new Date(0)
-        });
+        index += lines[i].length + 1;
     }
 
-    for (var i = 0; i < sortedReleaseDates.length - 1; i++) {
-        ranges.push(sortedReleaseDates.slice(i, i + range));
+    return -1;
+}
+
+/**
+ * Remove the section of the next release from the changelog, if it's
+ * the first release of the file, as it's outdated
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} currentContent The content of the changelog file
+ *
+ * @return {string}
+ */
+function removeUnreleased(gren, currentContent) {
+    var separator = gren.options.template.releaseSeparator;
+    var index = findReleasesIndex(gren, currentContent);
+
+    if (index === -1 || !unreleasedHeadingRegExp(gren).test(currentContent.slice(index).split('\n')[0])) {
+        return currentContent;
     }
 
-    return ranges;
+    var separatorIndex = currentContent.indexOf(separator, index);
+
+    return currentContent.slice(0, index) + (separatorIndex === -1 ? '' : currentContent.slice(separatorIndex + separator.length));
 }
 
 /**
- * Generate release blocks based on issues or commit messages
- * depending on the option.
+ * Add the releases newer than the latest one in the changelog file,
+ * before the first release of the file, leaving the rest of the file
+ * (e.g. its title and its intro) untouched.
+ * The section of the next release is always replaced.
+ *
+ * @since 0.9.0
+ * @private
  *
  * @param  {GithubReleaseNotes} gren
+ * @param  {string} currentContent The content of the changelog file
+ * @param  {Array} releases The releases, from the newest to the oldest
  *
- * @return {Promise} Resolving the release blocks
+ * @return {string|boolean} The new content of the file, or false if there are no changes
  */
-function getReleaseBlocks(gren) {
-    var loaded;
-    var dataSource = {
-        issues: getIssueBlocks,
-        commits: getCommitBlocks
-    };
+function prependReleases(gren, currentContent, releases) {
+    var title = gren.options.template.changelogTitle;
+    var content = removeUnreleased(gren, currentContent);
+    var latestReleaseIndex = releases.map(function(release) {
+        return !release.isNext && releaseHeadingRegExp(gren, release).test(content);
+    }).indexOf(true);
+    var newReleases = latestReleaseIndex === -1 ? releases : releases.slice(0, latestReleaseIndex);
+
+    if (!newReleases.length) {
+        return content === currentContent ? false : content;
+    }
 
-    return getListReleases(gren)
-        .then(function(releases) {
-            return getLastTags(gren, releases.length ? releases : false);
-        })
-        .then(function(tags) {
-            loaded = utils.task(gren, 'Getting the tag dates ranges');
+    // The generated releases already start from the newest one in the file (see getPrependedTags)
+    if (latestReleaseIndex === -1 && content && !(gren.options.generate && !gren.options.tags.length)) {
+        gren.logger.warn(chalk.yellow('WARNING: None of the releases has been found in ' + gren.options.changelogFilename + ', adding all of them'));
+    }
 
-            return Promise.all(getTagDates(gren, tags));
-        })
-        .then(function(releaseDates) {
-            loaded();
+    var body = templateReleases(gren, newReleases);
+    var releasesIndex = findReleasesIndex(gren, content);
+    var newContent = releasesIndex === -1
+        ? (content ? content.replace(/\s*$/, '\n\n') : title) + body
+        : content.slice(0, releasesIndex) + body + gren.options.template.releaseSeparator + content.slice(releasesIndex);
 
-            return dataSource[gren.options.dataSource](
-                gren,
-                createReleaseRanges(gren, releaseDates)
-            );
-        });
+    return newContent === currentContent ? false : newContent;
 }
 
 /**
- * Check if the changelog file exists
+ * Generate the content of the changelog file, in the format from the options
  *
- * @since 0.8.0
+ * @since 0.9.0
  * @private
  *
  * @param  {GithubReleaseNotes} gren
+ * @param  {Array} releases The releases, from the newest to the oldest
  *
- * @return {Promise}
+ * @return {string|boolean} The content of the file, or false if there is nothing to add
  */
-function checkChangelogFile(gren) {
-    var filePath = process.cwd() + '/' + gren.options.changelogFilename;
+function generateChangelog(gren, releases) {
+    var format = gren.options.format;
+
+    if (format === 'markdown') {
+        if (gren.options.mode === 'prepend') {
+            return prependReleases(gren, readChangelog(gren), releases);
+        }
 
-    if (fs.existsSync(filePath) && !gren.options.override) {
-        Promise.reject(chalk.red('Looks like there is already a changelog, to override it use --override'));
+        return gren.options.template.changelogTitle + templateReleases(gren, releases);
     }
 
-    return Promise.resolve();
+    if (!formats.hasOwnProperty(format)) {
+        throw chalk.red('The format ' + format + ' is invalid, please use markdown, json, html or atom');
+    }
+
+    if (gren.options.mode === 'prepend') {
+        throw chalk.red('The prepend mode is only available for the markdown format');
+    }
+
+    return formats[format](gren, releases);
 }
 
 /**
@@ -769,14 +2218,31 @@ function checkChangelogFile(gren) {
  * @private
  *
  * @param  {GithubReleaseNotes} gren
- * @param  {string} body The body of the file
+ * @param  {string} content The content of the file
  */
-function createChangelog(gren, body) {
+function createChangelog(gren, content) {
     var filePath = process.cwd() + '/' + gren.options.changelogFilename;
 
-    fs.writeFileSync(filePath, gren.options.template.changelogTitle + body);
+    fs.writeFileSync(filePath, content);
+
+    gren.logger.log(chalk.green('\nChangelog created!'));
+}
+
+/**
+ * Print the diff between the changelog file and the generated one,
+ * without writing it
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} content The content of the file
+ */
+function printChangelog(gren, content) {
+    var currentContent = readChangelog(gren);
 
-    console.log(chalk.green('\nChangelog created!'));
+    gren.logger.log(chalk.blue('\n[dry run] ' + (currentContent ? 'Update ' : 'Create ') + gren.options.changelogFilename));
+    gren.logger.log(utils.formatDiff(gren.options.changelogFilename, currentContent, content));
 }
 
 /**
@@ -788,10 +2254,94 @@ function createChangelog(gren, body) {
  * @return {Promise[]}
  */
 function generateOptions(options) {
-    return Promise.all([
-        options.username && options.repo ? Promise.resolve({ username: options.username, repo: options.repo }) : githubInfo.repo(),
-        options.token ? Promise.resolve({ token: options.token }) : githubInfo.token()
-    ]);
+    var repoInfo = options.username && options.repo ? Promise.resolve({ username: options.username, repo: options.repo }) : githubInfo.repo();
+
+    return repoInfo.then(function(repoData) {
+        var provider = options.provider || providers.detect(options.apiUrl || repoData.host);
+
+        return Promise.all([
+            repoData,
+            { provider: provider },
+            options.token ? Promise.resolve({ token: options.token }) : githubInfo.token(provider)
+        ]);
+    });
+}
+
+/**
+ * Normalise the directory of a package, relative to the root of the repo
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} [directory] e.g. `./packages/core/`
+ *
+ * @return {string|boolean} e.g. `packages/core`, false if not set
+ */
+function normalizeDirectory(directory) {
+    return directory ? directory.replace(/^\.\//, '').replace(/\/+$/, '') : false;
+}
+
+/**
+ * Create a copy of gren for a package of the repo, sharing its provider,
+ * with the tags, the commits, the pull requests and the changelog of the package
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Object} pkg The package ({name: name, tagPrefix: tagPrefix, directory: directory, changelogFilename: changelogFilename})
+ *
+ * @return {GithubReleaseNotes}
+ */
+function createPackageScope(gren, pkg) {
+    var directory = normalizeDirectory(pkg.directory);
+    var scope = Object.create(gren);
+
+    scope.options = Object.assign({}, gren.options, {
+        packages: false,
+        package: pkg.name,
+        tagPrefix: pkg.tagPrefix || pkg.name + '@',
+        path: directory,
+        changelogFilename: pkg.changelogFilename || (directory ? directory + '/' : '') + gren.options.changelogFilename
+    });
+
+    return scope;
+}
+
+/**
+ * Run an action for each package (or for the selected ones), one after the other
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} action e.g. `release`
+ *
+ * @return {Promise} The promise which resolves the results of the action
+ */
+function runForPackages(gren, action) {
+    var results = [];
+    var selected = gren.options.package && String(gren.options.package).split(',');
+    var names = selected || gren.options.packages.map(function(pkg) {
+        return pkg.name;
+    });
+
+    return names
+        .reduce(function(carry, name) {
+            return carry.then(function() {
+                var scope = gren.forPackage(name);
+
+                gren.logger.log(chalk.blue('\nPackage ' + name));
+
+                return scope[action]()
+                    .then(function(result) {
+                        results.push(result);
+                    });
+            });
+        }, Promise.resolve())
+        .then(function() {
+            return results;
+        });
 }
 
 /**
@@ -800,13 +2350,15 @@ function generateOptions(options) {
  * @since 0.5.0
  * @private
  *
+ * @param  {GithubReleaseNotes} gren
+ *
  * @return {Promise}
  */
-function hasNetwork() {
+function hasNetwork(gren) {
     return new Promise(function(resolve) {
         connectivity(function(isOnline) {
             if (!isOnline) {
-                console.warn(chalk.yellow('WARNING: Looks like you don\'t have network connectivity!'));
+                gren.logger.warn(chalk.yellow('WARNING: Looks like you don\'t have network connectivity!'));
             }
 
             resolve();
@@ -815,6 +2367,35 @@ function hasNetwork() {
 }
 
 /**
+ * Stop the progress of the tasks still running when a call of the API
+ * is over, so that a failed call doesn't keep the process alive
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {Promise} promise The promise of the call
+ *
+ * @return {Promise} Resolving or rejecting as the given one
+ */
+function stopTasks(gren, promise) {
+    return promise.then(function(result) {
+        utils.clearTasks(gren);
+
+        return result;
+    }, function(error) {
+        utils.clearTasks(gren);
+
+        throw error;
+    });
+}
+
+/**
+ * The options are read from the configuration file and the command line arguments,
+ * unless they are passed explicitly.
+ * The `logger` option is an object with the `log`, `warn` and (optional) `write` methods,
+ * or false to be silent.
+ *
  * @param  {Object} [options] The options of the module
  *
  * @since  0.1.0
@@ -823,13 +2404,30 @@ function hasNetwork() {
  * @constructor
  */
 function GithubReleaseNotes(options) {
-    this.options = ObjectAssign({}, defaults, configFile, options || utils.getBashOptions(process.argv));
+    var settings = Object.assign({}, options || ObjectAssign({}, utils.getConfigFromFile(process.cwd()), utils.getBashOptions(process.argv)));
+
+    this.logger = logger.create(settings.logger);
+    delete settings.logger;
+
+    this.options = ObjectAssign({}, defaults, settings);
     this.options.tags = utils.convertStringToArray(this.options.tags);
+    this.options.ignoreTags = utils.convertStringToPatterns(this.options.ignoreTags);
     this.options.ignoreLabels = utils.convertStringToArray(this.options.ignoreLabels);
     this.options.ignoreIssuesWith = utils.convertStringToArray(this.options.ignoreIssuesWith);
-    this.repo = null;
-    this.issues = null;
+    this.options.onlyIssuesWith = utils.convertStringToArray(this.options.onlyIssuesWith);
+    this.options.ignoreIssuesFrom = utils.convertStringToPatterns(this.options.ignoreIssuesFrom);
+    this.options.onlyMilestones = utils.convertStringToArray(this.options.onlyMilestones);
+    this.options.ignoreMilestones = utils.convertStringToArray(this.options.ignoreMilestones);
+    this.options.ignoreTitlePattern = [].concat(this.options.ignoreTitlePattern || []);
+    this.options.packages = this.options.packages && [].concat(this.options.packages);
+    this.options.path = normalizeDirectory(this.options.path);
+    this.options.changelogFilename = this.options.changelogFilename || 'CHANGELOG.' + (changelogExtensions[this.options.format] || 'md');
+    this.options.ignoreContributors = utils.convertStringToPatterns(this.options.ignoreContributors || ignoredBots);
+    this.options.bumpRules = this.options.bumpRules || bump.rules;
+    this.plugins = plugins.load(this.options.plugins);
+    this.provider = null;
     this.isEditingLatestRelease = false;
+    this.tasks = [];
 }
 
 /**
@@ -848,24 +2446,42 @@ GithubReleaseNotes.prototype.init = function() {
 
     gren.tasks = [];
 
-    return hasNetwork()
+    return stopTasks(gren, hasNetwork(gren)
         .then(function() {
             return generateOptions(gren.options);
         })
         .then(function(optionData) {
             gren.options = ObjectAssign(...optionData, gren.options);
 
-            if (!gren.options.token) {
+            if (!gren.options.token && !gren.options.local) {
                 throw chalk.red('You need to provide the token');
             }
 
-            var githubApi = new Github({
-                token: gren.options.token
-            }, gren.options.apiUrl);
+            var cache = new Cache(gren.options.cacheDir);
 
-            gren.repo = githubApi.getRepo(gren.options.username, gren.options.repo);
-            gren.issues = githubApi.getIssues(gren.options.username, gren.options.repo);
-        });
+            if (gren.options.clearCache) {
+                cache.clear();
+                gren.logger.log(chalk.green('The cache in ' + gren.options.cacheDir + ' has been cleared'));
+            }
+
+            gren.provider = providers.create(gren.options, gren.options.cache ? cache : null, gren.logger);
+        }));
+};
+
+/**
+ * Print the remaining quota of the API rate limit, if the provider sends it
+ *
+ * @since 0.9.0
+ * @public
+ */
+GithubReleaseNotes.prototype.printRateLimit = function() {
+    var rateLimit = this.provider && this.provider.client.rateLimit;
+
+    if (!rateLimit) {
+        return;
+    }
+
+    this.logger.log(chalk.blue('\nAPI rate limit: ' + rateLimit.remaining + (rateLimit.limit ? '/' + rateLimit.limit : '') + ' requests remaining' + (rateLimit.reset ? ', reset at ' + utils.formatDate(new Date(rateLimit.reset), 'HH:mm', this.options) : '')));
 };
 
 /**
@@ -877,16 +2493,75 @@ GithubReleaseNotes.prototype.init = function() {
  * @return {Promise}
  */
 GithubReleaseNotes.prototype.release = function() {
-    utils.printTask('\nRelease');
+    if (this.options.packages) {
+        return runForPackages(this, 'release');
+    }
+
+    utils.printTask(this, '\nRelease');
 
     var gren = this;
 
-    return getReleaseBlocks(this)
+    if (!gren.options.token) {
+        return Promise.reject(chalk.red('You need to provide the token to publish the releases'));
+    }
+
+    if (gren.options.next === true) {
+        return Promise.reject(chalk.red('You need to provide the tag of the next release e.g. --next=v2.3.0'));
+    }
+
+    return stopTasks(gren, getReleaseBlocks(this)
         .then(function(blocks) {
             return blocks.reduce(function(carry, block) {
                 return carry.then(prepareRelease.bind(null, gren, block));
             }, Promise.resolve());
-        });
+        }));
+};
+
+/**
+ * Generate the release blocks from the issues, the commits, the pull requests
+ * or the milestones (depending on the data source), without publishing them.
+ * The blocks have the release name, date, body and the groups of items.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise} Resolving the release blocks, from the newest
+ */
+GithubReleaseNotes.prototype.generateBlocks = function() {
+    return stopTasks(this, getReleaseBlocks(this, this.options.local));
+};
+
+/**
+ * Render the content of the changelog, in the format from the options,
+ * without writing the file. In the prepend mode, the current file is read
+ * to add only the newer releases.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object[]} [releases] The releases (e.g. from `generateBlocks`), the generated blocks
+ * or the existing releases (depending on the generate option) if not set
+ *
+ * @return {Promise} Resolving the content, or false if the changelog is already up to date
+ */
+GithubReleaseNotes.prototype.renderChangelog = function(releases) {
+    var gren = this;
+
+    if (!releases) {
+        releases = gren.options.generate ? gren.generateBlocks() : getListReleases(gren);
+    }
+
+    return stopTasks(gren, Promise.resolve(releases)
+        .then(function(releases) {
+            if (releases.length === 0) {
+                throw chalk.red('There are no releases, use --generate to create release notes, or run the release command.');
+            }
+
+            return plugins.run(gren, 'beforeRender', releases);
+        })
+        .then(function(releases) {
+            return generateChangelog(gren, releases);
+        }));
 };
 
 /**
@@ -900,28 +2575,107 @@ GithubReleaseNotes.prototype.release = function() {
  * @param {string} type The type of changelog
  */
 GithubReleaseNotes.prototype.changelog = function() {
-    utils.printTask('\nChangelog');
+    if (this.options.packages) {
+        return runForPackages(this, 'changelog');
+    }
+
+    utils.printTask(this, '\nChangelog');
 
     var gren = this;
 
-    return checkChangelogFile(this)
+    return stopTasks(gren, checkChangelogFile(this)
         .then(function() {
-            if (gren.options.generate) {
-                return getReleaseBlocks(gren);
+            return gren.renderChangelog();
+        })
+        .then(function(content) {
+            if (content === false) {
+                gren.logger.log(chalk.green('\nThe changelog is already up to date'));
+
+                return;
             }
 
-            return getListReleases(gren);
-        })
-        .then(function(releases) {
-            if (releases.length === 0) {
-                throw chalk.red('There are no releases, use --generate to create release notes, or run the release command.');
+            if (gren.options.dryRun) {
+                printChangelog(gren, content);
+
+                return;
             }
 
-            return Promise.resolve(releases);
-        })
-        .then(function(releases) {
-            createChangelog(gren, templateReleases(gren, releases));
-        });
+            createChangelog(gren, content);
+        }));
+};
+
+/**
+ * Get the copy of gren for a package defined in the packages option,
+ * with its tags, commits, pull requests and changelog file
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} name The name of the package
+ *
+ * @return {GithubReleaseNotes}
+ */
+GithubReleaseNotes.prototype.forPackage = function(name) {
+    var pkg = (this.options.packages || []).filter(function(pkg) {
+        return pkg.name === name;
+    })[0];
+
+    if (!pkg) {
+        throw chalk.red('The package ' + name + ' is not defined in the packages option');
+    }
+
+    return createPackageScope(this, pkg);
+};
+
+/**
+ * Suggest the next version from the changes since the latest tag,
+ * following the bump rules
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise} Resolving the next version ({current: current, next: next, bump: bump, changes: changes, reasons: reasons})
+ */
+GithubReleaseNotes.prototype.bump = function() {
+    if (this.options.packages) {
+        return runForPackages(this, 'bump');
+    }
+
+    utils.printTask(this, '\nBump');
+
+    // The changes since the latest tag, without changing the options of the instance
+    var gren = Object.create(this);
+
+    gren.options = Object.assign({}, this.options, {
+        next: true,
+        tags: []
+    });
+
+    return stopTasks(gren, getReleaseRanges(gren, true)
+        .then(function(releaseRanges) {
+            var range = releaseRanges[0];
+
+            if (!range[1].name) {
+                throw chalk.red('There are no tags to bump, create the first one');
+            }
+
+            return getBumpChanges(gren, range)
+                .then(function(changes) {
+                    var level = bump.getLevel(gren.options.bumpRules, changes);
+                    var result = {
+                        package: gren.options.package || undefined,
+                        current: range[1].name,
+                        next: level.level && bump.increment(range[1].name, level.level, gren.options.tagPrefix),
+                        bump: level.level,
+                        changes: changes.length,
+                        reasons: level.reasons
+                    };
+
+                    printBump(gren, result);
+
+                    return result;
+                });
+        }));
 };
 
 module.exports = GithubReleaseNotes;
@@ -0,0 +1,62 @@
+'use strict';
+
+var noop = function() {};
+
+/**
+ * The default logger, printing to the console
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @type {Object}
+ */
+var consoleLogger = {
+    log: function() {
+        console.log.apply(console, arguments);
+    },
+    warn: function() {
+        console.warn.apply(console, arguments);
+    },
+    write: function(text) {
+        process.stdout.write(text);
+    }
+};
+
+/**
+ * Create the logger of gren from the one passed in the options.
+ * The logger needs the `log` and `warn` methods (e.g. `console`),
+ * `write` is only used to print the progress of the tasks, which is
+ * not animated when the logger is silent or has no `write` method.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object|boolean} [logger] The logger, false to be silent, the console one if not set
+ *
+ * @return {Object} The logger ({log: log, warn: warn, write: write, silent: silent})
+ */
+function create(logger) {
+    if (logger === false) {
+        return {
+            log: noop,
+            warn: noop,
+            write: noop,
+            silent: true
+        };
+    }
+
+    if (!logger) {
+        return consoleLogger;
+    }
+
+    return {
+        log: typeof logger.log === 'function' ? logger.log.bind(logger) : noop,
+        warn: typeof logger.warn === 'function' ? logger.warn.bind(logger) : noop,
+        write: typeof logger.write === 'function' ? logger.write.bind(logger) : noop,
+        silent: typeof logger.write !== 'function'
+    };
+}
+
+module.exports = {
+    create: create
+};
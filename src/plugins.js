@@ -0,0 +1,153 @@
+'use strict';
+
+var path = require('path');
+var chalk = require('chalk');
+var Promise = Promise || require('es6-promise').Promise;
+
+/**
+ * The hooks a plugin can implement. All of them receive the gren instance
+ * first and can return a promise.
+ *
+ * - `filterIssue(gren, issue)`: false to skip an issue (or a pull request)
+ * - `transformIssue(gren, issue)`: the issue (or pull request) to use
+ * - `transformCommit(gren, commit)`: the commit to use
+ * - `transformBlock(gren, block)`: the release block to use
+ * - `beforeRender(gren, releases)`: the releases to render in the changelog
+ * - `beforePublish(gren, releaseOptions, block)`: the release to send
+ * - `afterPublish(gren, release, block)`: called with the created or updated release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {string[]}
+ */
+var hooks = [
+    'filterIssue',
+    'transformIssue',
+    'transformCommit',
+    'transformBlock',
+    'beforeRender',
+    'beforePublish',
+    'afterPublish'
+];
+
+/**
+ * Load the plugins: the objects with the hooks, or the paths of the modules
+ * exporting them (relative to the working directory, or the names of installed modules)
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Array|Object|string} [plugins] The plugins, or a comma separated list of paths
+ *
+ * @return {Object[]}
+ */
+function load(plugins) {
+    var list = typeof plugins === 'string' ? plugins.split(',') : [].concat(plugins || []);
+
+    return list.map(function(plugin) {
+        var loaded = plugin;
+
+        if (typeof plugin === 'string') {
+            loaded = require(plugin.charAt(0) === '.' ? path.resolve(process.cwd(), plugin) : plugin);
+        }
+
+        if (!loaded || typeof loaded !== 'object') {
+            throw chalk.red('The plugin ' + plugin + ' should be an object with the hooks: ' + hooks.join(', '));
+        }
+
+        return loaded;
+    });
+}
+
+/**
+ * Run a hook of all the plugins, in sequence. Each plugin receives the value
+ * returned by the previous one, a hook returning undefined keeps the value.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} hook
+ * @param  {*} value
+ * @param  {...*} [args] The other arguments of the hook
+ *
+ * @return {Promise} Resolving the value returned by the last plugin
+ */
+function run(gren, hook, value) {
+    var args = Array.prototype.slice.call(arguments, 3);
+
+    return gren.plugins.reduce(function(carry, plugin) {
+        if (typeof plugin[hook] !== 'function') {
+            return carry;
+        }
+
+        return carry.then(function(currentValue) {
+            return Promise.resolve(plugin[hook].apply(plugin, [gren, currentValue].concat(args)))
+                .then(function(result) {
+                    return result === undefined ? currentValue : result;
+                });
+        });
+    }, Promise.resolve(value));
+}
+
+/**
+ * Run a hook on each item of a list
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} hook
+ * @param  {Array} items
+ *
+ * @return {Promise} Resolving the values returned by the plugins
+ */
+function map(gren, hook, items) {
+    return Promise.all(items.map(function(item) {
+        return run(gren, hook, item);
+    }));
+}
+
+/**
+ * Leave out the items for which the hook of a plugin returns false,
+ * a hook returning undefined keeps the item.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {GithubReleaseNotes} gren
+ * @param  {string} hook
+ * @param  {Array} items
+ *
+ * @return {Promise} Resolving the filtered items
+ */
+function filter(gren, hook, items) {
+    var filters = gren.plugins.filter(function(plugin) {
+        return typeof plugin[hook] === 'function';
+    });
+
+    return Promise.all(items.map(function(item) {
+        return filters.reduce(function(carry, plugin) {
+            return carry.then(function(keep) {
+                return keep && Promise.resolve(plugin[hook](gren, item))
+                    .then(function(result) {
+                        return result !== false;
+                    });
+            });
+        }, Promise.resolve(true));
+    }))
+    .then(function(results) {
+        return items.filter(function(item, index) {
+            return results[index];
+        });
+    });
+}
+
+module.exports = {
+    hooks: hooks,
+    load: load,
+    run: run,
+    map: map,
+    filter: filter
+};
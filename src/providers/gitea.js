@@ -0,0 +1,208 @@
+'use strict';
+
+var chalk = require('chalk');
+var utils = require('../utils');
+var Client = require('../request').Client;
+var GithubProvider = require('./github');
+
+/**
+ * The Gitea provider, using the REST API v1. The API is modelled after
+ * the GitHub one, so only the differences are implemented here.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param {Object} options The options of gren ({username: username, repo: repo, token: token, apiUrl: apiUrl, pageLimit: pageLimit, concurrency: concurrency, retries: retries, cache: cache, logger: logger})
+ *
+ * @constructor
+ */
+function GiteaProvider(options) {
+    if (!options.apiUrl) {
+        throw chalk.red('You need to provide the --api-url of the Gitea instance e.g. https://gitea.example.com/api/v1');
+    }
+
+    GithubProvider.call(this, options);
+
+    this.name = 'gitea';
+    this.client = new Client({
+        baseUrl: options.apiUrl,
+        headers: options.token ? { Authorization: 'token ' + options.token } : {},
+        pageParam: 'limit',
+        pageSize: 50,
+        pageLimit: options.pageLimit,
+        concurrency: options.concurrency,
+        retries: options.retries,
+        cache: options.cache,
+        logger: options.logger
+    });
+}
+
+GiteaProvider.prototype = Object.create(GithubProvider.prototype);
+GiteaProvider.prototype.constructor = GiteaProvider;
+
+/**
+ * Get all the tags of the repo ([{name: name, commit: {sha: sha, date: date}}])
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getTags = function() {
+    return this.client.requestAllPages(this.path + '/tags')
+        .then(function(tags) {
+            return tags.map(function(tag) {
+                return {
+                    name: tag.name,
+                    commit: {
+                        sha: tag.commit.sha,
+                        date: tag.commit.created
+                    }
+                };
+            });
+        });
+};
+
+/**
+ * Get the committer date of a commit, which is cached forever
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} sha
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getCommitDate = function(sha) {
+    return this.client.requestImmutable(this.path + '/git/commits/' + sha, {
+        stat: 'false',
+        files: 'false'
+    })
+    .then(function(response) {
+        return response.data.commit.committer.date;
+    });
+};
+
+/**
+ * Get the last commit of a branch ({sha: sha, date: date})
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} branch
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getBranchHead = function(branch) {
+    return this.client.request('GET', this.path + '/branches/' + encodeURIComponent(branch))
+        .then(function(response) {
+            return {
+                sha: response.data.commit.id,
+                date: response.data.commit.timestamp
+            };
+        });
+};
+
+/**
+ * Get the commits between two dates. Older Gitea versions ignore
+ * `since` and `until`, so the commits are filtered here as well.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} since
+ * @param  {string} until
+ * @param  {string} [ref] The branch of the commits, the default one if not set
+ * @param  {string} [path] Only the commits changing the files in this directory
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getCommits = function(since, until, ref, path) {
+    return this.client.requestAllPages(this.path + '/commits', {
+        since: since,
+        until: until,
+        sha: ref,
+        path: path,
+        stat: 'false',
+        files: 'false'
+    })
+    .then(function(commits) {
+        return commits.filter(function(commit) {
+            return utils.isInRange(commit.commit.committer.date, since, until);
+        });
+    });
+};
+
+/**
+ * Get the closed issues, without the pull requests
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} params ({since: since, milestone: milestone})
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getClosedIssues = function(params) {
+    return this.client.requestAllPages(this.path + '/issues', {
+        state: 'closed',
+        type: 'issues',
+        since: params.since,
+        milestones: params.milestone && params.milestone.title
+    });
+};
+
+/**
+ * Get the merged pull requests, the most recently updated first.
+ * The paging stops at the pull requests updated before `since`,
+ * which can't have been merged after it.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} [since] The date in ISO
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getMergedPullRequests = function(since) {
+    return this.client.requestAllPages(this.path + '/pulls', {
+        state: 'closed',
+        sort: 'recentupdate'
+    }, function(pullRequests) {
+        return !!since && pullRequests.some(function(pullRequest) {
+            return utils.toUTCTimestamp(pullRequest.updated_at) < utils.toUTCTimestamp(since);
+        });
+    })
+    .then(function(pullRequests) {
+        return pullRequests.filter(function(pullRequest) {
+            return pullRequest.merged_at;
+        });
+    });
+};
+
+/**
+ * Get all the milestones of the repo, with the same `number` and
+ * `html_url` fields of the GitHub ones
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GiteaProvider.prototype.getMilestones = function() {
+    var repoUrl = this.repoUrl;
+
+    return this.client.requestAllPages(this.path + '/milestones', {
+        state: 'all'
+    })
+    .then(function(milestones) {
+        return milestones.map(function(milestone) {
+            milestone.number = milestone.id;
+            milestone.html_url = repoUrl + '/milestone/' + milestone.id;
+
+            return milestone;
+        });
+    });
+};
+
+module.exports = GiteaProvider;
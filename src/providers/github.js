@@ -0,0 +1,289 @@
+'use strict';
+
+var utils = require('../utils');
+var Client = require('../request').Client;
+
+/**
+ * The GitHub provider, using the REST API v3
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param {Object} options The options of gren ({username: username, repo: repo, token: token, apiUrl: apiUrl, pageLimit: pageLimit, concurrency: concurrency, retries: retries, cache: cache, logger: logger})
+ *
+ * @constructor
+ */
+function GithubProvider(options) {
+    var apiUrl = options.apiUrl || 'https://api.github.com';
+    var headers = {
+        'Accept': 'application/vnd.github.v3+json'
+    };
+
+    if (options.token) {
+        headers.Authorization = 'token ' + options.token;
+    }
+
+    this.name = 'github';
+    this.path = '/repos/' + options.username + '/' + options.repo;
+    this.repoUrl = apiUrl.replace(/\/\/api\.github\.com\/?$/, '//github.com').replace(/\/api\/v\d+\/?$/, '') + '/' + options.username + '/' + options.repo;
+    this.client = new Client({
+        baseUrl: apiUrl,
+        headers: headers,
+        pageLimit: options.pageLimit,
+        concurrency: options.concurrency,
+        retries: options.retries,
+        cache: options.cache,
+        logger: options.logger
+    });
+}
+
+/**
+ * Get the URL of the page of a release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} tag
+ *
+ * @return {string}
+ */
+GithubProvider.prototype.getReleaseUrl = function(tag) {
+    return this.repoUrl + '/releases/tag/' + tag;
+};
+
+/**
+ * Get all the tags of the repo ([{name: name, commit: {sha: sha}}])
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getTags = function() {
+    return this.client.requestAllPages(this.path + '/tags');
+};
+
+/**
+ * Get the committer date of a commit, which is cached forever
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} sha
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getCommitDate = function(sha) {
+    return this.client.requestImmutable(this.path + '/git/commits/' + sha)
+        .then(function(response) {
+            return response.data.committer.date;
+        });
+};
+
+/**
+ * Get the default branch of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getDefaultBranch = function() {
+    return this.client.request('GET', this.path)
+        .then(function(response) {
+            return response.data.default_branch;
+        });
+};
+
+/**
+ * Get the last commit of a branch ({sha: sha, date: date})
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} branch
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getBranchHead = function(branch) {
+    return this.client.request('GET', this.path + '/commits/' + encodeURIComponent(branch))
+        .then(function(response) {
+            return {
+                sha: response.data.sha,
+                date: response.data.commit.committer.date
+            };
+        });
+};
+
+/**
+ * Get the commits between two dates
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} since
+ * @param  {string} until
+ * @param  {string} [ref] The branch of the commits, the default one if not set
+ * @param  {string} [path] Only the commits changing the files in this directory
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getCommits = function(since, until, ref, path) {
+    return this.client.requestAllPages(this.path + '/commits', {
+        since: since,
+        until: until,
+        sha: ref,
+        path: path
+    });
+};
+
+/**
+ * Get all the releases of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getReleases = function() {
+    return this.client.requestAllPages(this.path + '/releases');
+};
+
+/**
+ * Get a single release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {number} id
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getRelease = function(id) {
+    return this.client.request('GET', this.path + '/releases/' + id)
+        .then(function(response) {
+            return response.data;
+        });
+};
+
+/**
+ * Create a release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} releaseOptions ({tag_name: tag_name, name: name, body: body, draft: draft, prerelease: prerelease})
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.createRelease = function(releaseOptions) {
+    return this.client.request('POST', this.path + '/releases', null, releaseOptions)
+        .then(function(response) {
+            return response.data;
+        });
+};
+
+/**
+ * Update a release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {number} id
+ * @param  {Object} releaseOptions
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.updateRelease = function(id, releaseOptions) {
+    return this.client.request('PATCH', this.path + '/releases/' + id, null, releaseOptions)
+        .then(function(response) {
+            return response.data;
+        });
+};
+
+/**
+ * Get the closed issues, without the pull requests
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} params ({since: since, milestone: milestone})
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getClosedIssues = function(params) {
+    return this.client.requestAllPages(this.path + '/issues', {
+        state: 'closed',
+        since: params.since,
+        milestone: params.milestone && params.milestone.number
+    })
+    .then(function(issues) {
+        return issues.filter(function(issue) {
+            return !issue.pull_request;
+        });
+    });
+};
+
+/**
+ * Get the paths of the files changed by a pull request
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {number} number
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getPullRequestFiles = function(number) {
+    return this.client.requestAllPages(this.path + '/pulls/' + number + '/files')
+        .then(function(files) {
+            return files.map(function(file) {
+                return file.filename;
+            });
+        });
+};
+
+/**
+ * Get the merged pull requests, the most recently updated first.
+ * The paging stops at the pull requests updated before `since`,
+ * which can't have been merged after it.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} [since] The date in ISO
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getMergedPullRequests = function(since) {
+    return this.client.requestAllPages(this.path + '/pulls', {
+        state: 'closed',
+        sort: 'updated',
+        direction: 'desc'
+    }, function(pullRequests) {
+        return !!since && pullRequests.some(function(pullRequest) {
+            return utils.toUTCTimestamp(pullRequest.updated_at) < utils.toUTCTimestamp(since);
+        });
+    })
+    .then(function(pullRequests) {
+        return pullRequests.filter(function(pullRequest) {
+            return pullRequest.merged_at;
+        });
+    });
+};
+
+/**
+ * Get all the milestones of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GithubProvider.prototype.getMilestones = function() {
+    return this.client.requestAllPages(this.path + '/milestones', {
+        state: 'all'
+    });
+};
+
+module.exports = GithubProvider;
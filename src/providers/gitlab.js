@@ -0,0 +1,476 @@
+'use strict';
+
+var Client = require('../request').Client;
+
+/**
+ * Convert a GitLab user into the GitHub shape
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} user
+ *
+ * @return {Object|null}
+ */
+function normalizeUser(user) {
+    return user ? {
+        login: user.username,
+        name: user.name,
+        avatar_url: user.avatar_url,
+        html_url: user.web_url
+    } : null;
+}
+
+/**
+ * Convert the GitLab labels (strings, or objects with the details) into the GitHub shape
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Array} labels
+ *
+ * @return {Object[]}
+ */
+function normalizeLabels(labels) {
+    return (labels || []).map(function(label) {
+        return typeof label === 'string' ? { name: label } : {
+            name: label.name,
+            color: (label.color || '').replace(/^#/, ''),
+            description: label.description
+        };
+    });
+}
+
+/**
+ * Convert the GitLab votes into the GitHub reactions
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} issue The GitLab issue or merge request
+ *
+ * @return {Object}
+ */
+function normalizeReactions(issue) {
+    return {
+        total_count: (issue.upvotes || 0) + (issue.downvotes || 0),
+        '+1': issue.upvotes || 0,
+        '-1': issue.downvotes || 0
+    };
+}
+
+/**
+ * Convert a GitLab milestone into the GitHub shape
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} milestone
+ *
+ * @return {Object|null}
+ */
+function normalizeMilestone(milestone) {
+    return milestone ? {
+        id: milestone.id,
+        number: milestone.iid,
+        title: milestone.title,
+        description: milestone.description,
+        state: milestone.state,
+        html_url: milestone.web_url
+    } : null;
+}
+
+/**
+ * Convert a GitLab release into the GitHub shape. GitLab identifies
+ * the releases by their tag, which is used as `id`.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} release
+ *
+ * @return {Object}
+ */
+function normalizeRelease(release) {
+    return {
+        id: release.tag_name,
+        tag_name: release.tag_name,
+        name: release.name || release.tag_name,
+        body: release.description || '',
+        draft: false,
+        prerelease: !!release.upcoming_release,
+        published_at: release.released_at || release.created_at,
+        html_url: release._links && release._links.self
+    };
+}
+
+/**
+ * Convert a gren release into the body of a GitLab release request
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} releaseOptions ({tag_name: tag_name, name: name, body: body, target_commitish: target_commitish})
+ *
+ * @return {Object}
+ */
+function toGitlabRelease(releaseOptions) {
+    return {
+        tag_name: releaseOptions.tag_name,
+        name: releaseOptions.name,
+        description: releaseOptions.body,
+        ref: releaseOptions.target_commitish
+    };
+}
+
+/**
+ * The GitLab provider, using the REST API v4. The responses are converted
+ * into the same shape of the GitHub ones.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param {Object} options The options of gren ({username: username, repo: repo, token: token, apiUrl: apiUrl, pageLimit: pageLimit, concurrency: concurrency, retries: retries, cache: cache, logger: logger})
+ *
+ * @constructor
+ */
+function GitlabProvider(options) {
+    var apiUrl = options.apiUrl || 'https://gitlab.com/api/v4';
+
+    this.name = 'gitlab';
+    this.path = '/projects/' + encodeURIComponent(options.username + '/' + options.repo);
+    this.repoUrl = apiUrl.replace(/\/api\/v\d+\/?$/, '') + '/' + options.username + '/' + options.repo;
+    this.client = new Client({
+        baseUrl: apiUrl,
+        headers: options.token ? { 'PRIVATE-TOKEN': options.token } : {},
+        pageLimit: options.pageLimit,
+        concurrency: options.concurrency,
+        retries: options.retries,
+        cache: options.cache,
+        logger: options.logger
+    });
+}
+
+/**
+ * Get the URL of the page of a release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} tag
+ *
+ * @return {string}
+ */
+GitlabProvider.prototype.getReleaseUrl = function(tag) {
+    return this.repoUrl + '/-/releases/' + encodeURIComponent(tag);
+};
+
+/**
+ * Get all the tags of the repo ([{name: name, commit: {sha: sha, date: date}}])
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getTags = function() {
+    return this.client.requestAllPages(this.path + '/repository/tags')
+        .then(function(tags) {
+            return tags.map(function(tag) {
+                return {
+                    name: tag.name,
+                    commit: {
+                        sha: tag.commit.id,
+                        date: tag.commit.committed_date
+                    }
+                };
+            });
+        });
+};
+
+/**
+ * Get the committer date of a commit, which is cached forever
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} sha
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getCommitDate = function(sha) {
+    return this.client.requestImmutable(this.path + '/repository/commits/' + sha)
+        .then(function(response) {
+            return response.data.committed_date;
+        });
+};
+
+/**
+ * Get the default branch of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getDefaultBranch = function() {
+    return this.client.request('GET', this.path)
+        .then(function(response) {
+            return response.data.default_branch;
+        });
+};
+
+/**
+ * Get the last commit of a branch ({sha: sha, date: date})
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} branch
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getBranchHead = function(branch) {
+    return this.client.request('GET', this.path + '/repository/branches/' + encodeURIComponent(branch))
+        .then(function(response) {
+            return {
+                sha: response.data.commit.id,
+                date: response.data.commit.committed_date
+            };
+        });
+};
+
+/**
+ * Get the commits between two dates
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} since
+ * @param  {string} until
+ * @param  {string} [ref] The branch of the commits, the default one if not set
+ * @param  {string} [path] Only the commits changing the files in this directory
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getCommits = function(since, until, ref, path) {
+    return this.client.requestAllPages(this.path + '/repository/commits', {
+        since: since,
+        until: until,
+        ref_name: ref,
+        path: path
+    })
+    .then(function(commits) {
+        return commits.map(function(commit) {
+            return {
+                sha: commit.id,
+                html_url: commit.web_url,
+                author: null,
+                commit: {
+                    author: {
+                        name: commit.author_name,
+                        email: commit.author_email,
+                        date: commit.authored_date
+                    },
+                    committer: {
+                        name: commit.committer_name,
+                        email: commit.committer_email,
+                        date: commit.committed_date
+                    },
+                    message: commit.message.replace(/\n+$/, '')
+                }
+            };
+        });
+    });
+};
+
+/**
+ * Get all the releases of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getReleases = function() {
+    return this.client.requestAllPages(this.path + '/releases')
+        .then(function(releases) {
+            return releases.map(normalizeRelease);
+        });
+};
+
+/**
+ * Get a single release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} id The tag of the release
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getRelease = function(id) {
+    return this.client.request('GET', this.path + '/releases/' + encodeURIComponent(id))
+        .then(function(response) {
+            return normalizeRelease(response.data);
+        });
+};
+
+/**
+ * Create a release. GitLab has no draft releases, so `draft` is ignored.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} releaseOptions ({tag_name: tag_name, name: name, body: body, target_commitish: target_commitish})
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.createRelease = function(releaseOptions) {
+    return this.client.request('POST', this.path + '/releases', null, toGitlabRelease(releaseOptions))
+        .then(function(response) {
+            return normalizeRelease(response.data);
+        });
+};
+
+/**
+ * Update a release
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} id The tag of the release
+ * @param  {Object} releaseOptions
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.updateRelease = function(id, releaseOptions) {
+    var data = toGitlabRelease(releaseOptions);
+
+    return this.client.request('PUT', this.path + '/releases/' + encodeURIComponent(id), null, {
+        name: data.name,
+        description: data.description
+    })
+    .then(function(response) {
+        return normalizeRelease(response.data);
+    });
+};
+
+/**
+ * Get the closed issues
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} params ({since: since, milestone: milestone})
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getClosedIssues = function(params) {
+    return this.client.requestAllPages(this.path + '/issues', {
+        state: 'closed',
+        updated_after: params.since,
+        milestone: params.milestone && params.milestone.title,
+        with_labels_details: true
+    })
+    .then(function(issues) {
+        return issues.map(function(issue) {
+            return {
+                id: issue.id,
+                number: issue.iid,
+                title: issue.title,
+                body: issue.description,
+                state: issue.state,
+                html_url: issue.web_url,
+                labels: normalizeLabels(issue.labels),
+                user: normalizeUser(issue.author),
+                assignees: (issue.assignees || []).map(normalizeUser),
+                milestone: normalizeMilestone(issue.milestone),
+                comments: issue.user_notes_count,
+                reactions: normalizeReactions(issue),
+                created_at: issue.created_at,
+                closed_at: issue.closed_at
+            };
+        });
+    });
+};
+
+/**
+ * Get the paths of the files changed by a merge request, before and after the change
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {number} number The iid of the merge request
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getPullRequestFiles = function(number) {
+    return this.client.requestAllPages(this.path + '/merge_requests/' + number + '/diffs')
+        .then(function(diffs) {
+            return diffs.reduce(function(carry, diff) {
+                return carry.concat(diff.new_path === diff.old_path ? diff.new_path : [diff.old_path, diff.new_path]);
+            }, []);
+        });
+};
+
+/**
+ * Get the merged merge requests, the most recently updated first
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} [since] Only the merge requests updated after this date in ISO
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getMergedPullRequests = function(since) {
+    return this.client.requestAllPages(this.path + '/merge_requests', {
+        state: 'merged',
+        updated_after: since,
+        order_by: 'updated_at',
+        sort: 'desc',
+        with_labels_details: true
+    })
+    .then(function(mergeRequests) {
+        return mergeRequests.map(function(mergeRequest) {
+            return {
+                id: mergeRequest.id,
+                number: mergeRequest.iid,
+                title: mergeRequest.title,
+                body: mergeRequest.description,
+                html_url: mergeRequest.web_url,
+                labels: normalizeLabels(mergeRequest.labels),
+                user: normalizeUser(mergeRequest.author),
+                assignees: (mergeRequest.assignees || []).map(normalizeUser),
+                milestone: normalizeMilestone(mergeRequest.milestone),
+                comments: mergeRequest.user_notes_count,
+                reactions: normalizeReactions(mergeRequest),
+                created_at: mergeRequest.created_at,
+                closed_at: mergeRequest.merged_at,
+                merged_at: mergeRequest.merged_at,
+                merge_commit_sha: mergeRequest.merge_commit_sha || mergeRequest.squash_commit_sha || mergeRequest.sha,
+                base: {
+                    ref: mergeRequest.target_branch
+                }
+            };
+        });
+    });
+};
+
+/**
+ * Get all the milestones of the repo
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @return {Promise}
+ */
+GitlabProvider.prototype.getMilestones = function() {
+    return this.client.requestAllPages(this.path + '/milestones')
+        .then(function(milestones) {
+            return milestones.map(normalizeMilestone);
+        });
+};
+
+module.exports = GitlabProvider;
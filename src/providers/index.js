@@ -0,0 +1,83 @@
+'use strict';
+
+var url = require('url');
+var chalk = require('chalk');
+
+var providers = {
+    github: require('./github'),
+    gitlab: require('./gitlab'),
+    gitea: require('./gitea')
+};
+
+var apiPaths = {
+    github: '/api/v3',
+    gitlab: '/api/v4',
+    gitea: '/api/v1'
+};
+
+var publicHosts = {
+    github: 'github.com',
+    gitlab: 'gitlab.com'
+};
+
+/**
+ * Detect the provider from the host of the remote (or of the API URL),
+ * falling back to GitHub
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} [host] e.g. `gitlab.example.com` or `https://gitlab.example.com/api/v4`
+ *
+ * @return {string} The name of the provider
+ */
+function detect(host) {
+    var hostname = (host && url.parse(host.indexOf('//') === -1 ? '//' + host : host, false, true).hostname) || '';
+
+    return Object.keys(providers).filter(function(name) {
+        return hostname.indexOf(name) !== -1;
+    })[0] || (hostname.indexOf('codeberg') !== -1 ? 'gitea' : 'github');
+}
+
+/**
+ * Create the provider from the options. When the API URL is not
+ * provided, it's built from the host of the remote.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {Object} options The options of gren ({provider: provider, host: host, apiUrl: apiUrl, username: username, repo: repo, token: token, pageLimit: pageLimit, concurrency: concurrency, retries: retries})
+ * @param  {Cache} [cache] The cache of the responses
+ * @param  {Object} [logger] The logger of the warnings
+ *
+ * @return {GithubProvider|GitlabProvider|GiteaProvider}
+ */
+function create(options, cache, logger) {
+    var name = options.provider || 'github';
+    var apiUrl = options.apiUrl;
+
+    if (!providers.hasOwnProperty(name)) {
+        throw chalk.red('The provider "' + name + '" is not supported, use one of: ' + Object.keys(providers).join(', '));
+    }
+
+    if (!apiUrl && options.host && options.host !== publicHosts[name]) {
+        apiUrl = 'https://' + options.host + apiPaths[name];
+    }
+
+    return new providers[name]({
+        username: options.username,
+        repo: options.repo,
+        token: options.token,
+        apiUrl: apiUrl,
+        pageLimit: options.pageLimit,
+        concurrency: options.concurrency,
+        retries: options.retries,
+        cache: cache,
+        logger: logger
+    });
+}
+
+module.exports = {
+    detect: detect,
+    create: create
+};
@@ -0,0 +1,503 @@
+'use strict';
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var querystring = require('querystring');
+var chalk = require('chalk');
+var utils = require('./utils');
+var Promise = Promise || require('es6-promise').Promise;
+
+/**
+ * The methods which can be sent again after a server or network error,
+ * since sending them twice has the same effect as sending them once
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @type {string[]}
+ */
+var idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Convert the query parameters into strings, skipping the empty ones
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} params
+ *
+ * @return {Object}
+ */
+function normalizeParams(params) {
+    return Object.keys(params || {}).reduce(function(carry, param) {
+        var value = params[param];
+
+        if (value !== undefined && value !== null && value !== false) {
+            carry[param] = value instanceof Date ? value.toISOString() : value;
+        }
+
+        return carry;
+    }, {});
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {number} milliseconds
+ *
+ * @return {Promise}
+ */
+function wait(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, Math.max(milliseconds, 0));
+    });
+}
+
+/**
+ * Read the rate limit from the headers of a response. GitHub and Gitea
+ * use the `X-RateLimit-*` headers, GitLab the `RateLimit-*` ones.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object} headers
+ *
+ * @return {Object|null} ({limit: limit, remaining: remaining, reset: reset}), with the reset as a timestamp in milliseconds
+ */
+function getRateLimit(headers) {
+    var remaining = headers['x-ratelimit-remaining'] || headers['ratelimit-remaining'];
+    var reset = headers['x-ratelimit-reset'] || headers['ratelimit-reset'];
+
+    if (remaining === undefined) {
+        return null;
+    }
+
+    return {
+        limit: parseInt(headers['x-ratelimit-limit'] || headers['ratelimit-limit'], 10) || null,
+        remaining: parseInt(remaining, 10),
+        reset: reset ? parseInt(reset, 10) * 1000 : null
+    };
+}
+
+/**
+ * Get the milliseconds to wait before retrying a failed request,
+ * or false if the request should not be retried.
+ * Rate limit responses are retried, following `Retry-After` or the rate limit
+ * reset when they're available. Server errors and network errors are only
+ * retried for the idempotent methods, since a `POST` (e.g. creating a release)
+ * could have been applied before failing.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Client} client
+ * @param  {string} method The HTTP method of the request
+ * @param  {Error} error
+ * @param  {number} attempt The number of the failed attempt, from 0
+ *
+ * @return {number|boolean}
+ */
+function getRetryDelay(client, method, error, attempt) {
+    var headers = error.headers || {};
+    var rateLimit = getRateLimit(headers);
+    var isRateLimited = error.status === 429 || (error.status === 403 && (headers['retry-after'] || (rateLimit && rateLimit.remaining === 0) || /rate limit|abuse/i.test(error.message)));
+    var isServerError = idempotentMethods.indexOf(method) !== -1 && (error.status >= 500 || (!error.status && !!error.code));
+
+    if (attempt >= client.retries || (!isRateLimited && !isServerError)) {
+        return false;
+    }
+
+    if (headers['retry-after']) {
+        return parseInt(headers['retry-after'], 10) * 1000;
+    }
+
+    if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset) {
+        return rateLimit.reset - Date.now();
+    }
+
+    return client.retryDelay * Math.pow(2, attempt);
+}
+
+/**
+ * A JSON HTTP client for the REST APIs of the providers
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param {Object} options The options of the client
+ * @example
+ * {
+ *   "baseUrl": "https://api.github.com",
+ *   "headers": { "Authorization": "token 1234" },
+ *   "pageParam": "per_page",
+ *   "pageSize": 100,
+ *   "pageLimit": 10,
+ *   "concurrency": 4,
+ *   "retries": 3,
+ *   "retryDelay": 1000,
+ *   "cache": new Cache('.gren-cache'),
+ *   "logger": console
+ * }
+ *
+ * @constructor
+ */
+function Client(options) {
+    this.baseUrl = options.baseUrl.replace(/\/$/, '');
+    this.headers = options.headers || {};
+    this.pageParam = options.pageParam || 'per_page';
+    this.pageSize = options.pageSize || 100;
+    this.pageLimit = options.pageLimit || 10;
+    this.concurrency = options.concurrency || 4;
+    this.retries = options.retries === undefined ? 3 : options.retries;
+    this.retryDelay = options.retryDelay || 1000;
+    this.cache = options.cache || null;
+    this.logger = options.logger || console;
+    this.rateLimit = null;
+    this.active = 0;
+    this.queue = [];
+}
+
+/**
+ * Run a task when there is a free slot, so that no more than
+ * `concurrency` requests are sent at the same time
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Function} task The function which returns a Promise
+ *
+ * @return {Promise}
+ */
+Client.prototype.schedule = function(task) {
+    var client = this;
+
+    return new Promise(function(resolve) {
+        client.queue.push(resolve);
+        client.next();
+    })
+    .then(task)
+    .then(function(result) {
+        client.active--;
+        client.next();
+
+        return result;
+    }, function(error) {
+        client.active--;
+        client.next();
+
+        throw error;
+    });
+};
+
+/**
+ * Start the next queued task, if there is a free slot
+ *
+ * @since 0.9.0
+ * @private
+ */
+Client.prototype.next = function() {
+    if (this.queue.length && this.active < this.concurrency) {
+        this.active++;
+        this.queue.shift()();
+    }
+};
+
+/**
+ * Wait for the rate limit reset, if the quota is over
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @return {Promise}
+ */
+Client.prototype.waitForRateLimit = function() {
+    var rateLimit = this.rateLimit;
+
+    if (!rateLimit || rateLimit.remaining > 0 || !rateLimit.reset || rateLimit.reset <= Date.now()) {
+        return Promise.resolve();
+    }
+
+    this.logger.warn(chalk.yellow('WARNING: The API rate limit is exceeded, waiting until ' + new Date(rateLimit.reset).toISOString()));
+
+    return wait(rateLimit.reset - Date.now());
+};
+
+/**
+ * Make a request to the API, waiting for a free slot and for the rate limit,
+ * and retrying the failed requests with an exponential backoff
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} method The HTTP method e.g. `GET`
+ * @param  {string} path The path relative to the base URL, or an absolute URL
+ * @param  {Object} [params] The query parameters
+ * @param  {Object} [data] The body of the request
+ *
+ * @return {Promise} The promise which resolves the response ({status: status, headers: headers, data: data})
+ */
+Client.prototype.request = function(method, path, params, data) {
+    var client = this;
+
+    function attempt(count) {
+        return client.waitForRateLimit()
+            .then(function() {
+                return client.send(method, path, params, data);
+            })
+            .catch(function(error) {
+                var delay = getRetryDelay(client, method, error, count);
+
+                if (delay === false) {
+                    throw error;
+                }
+
+                client.logger.warn(chalk.yellow('WARNING: ' + method + ' ' + path + ' failed (' + (error.status || error.code) + '), retrying in ' + Math.ceil(delay / 1000) + 's'));
+
+                return wait(delay).then(function() {
+                    return attempt(count + 1);
+                });
+            });
+    }
+
+    return client.schedule(function() {
+        return attempt(0);
+    });
+};
+
+/**
+ * Store a response in the cache. A failed write only warns,
+ * since the response is still usable.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} requestUrl
+ * @param  {Object} entry
+ */
+Client.prototype.setCache = function(requestUrl, entry) {
+    try {
+        this.cache.set(requestUrl, entry);
+    } catch (error) {
+        this.logger.warn(chalk.yellow('WARNING: The response of ' + requestUrl + ' could not be cached: ' + error.message));
+    }
+};
+
+/**
+ * Make a GET request for a resource that never changes (e.g. a commit),
+ * which is only sent if the resource is not in the cache yet
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} path The path relative to the base URL
+ * @param  {Object} [params] The query parameters
+ *
+ * @return {Promise} The promise which resolves the response ({status: status, headers: headers, data: data})
+ */
+Client.prototype.requestImmutable = function(path, params) {
+    var client = this;
+    var requestUrl = client.getUrl(path, params);
+    var cached = client.cache && client.cache.get(requestUrl);
+
+    if (cached && cached.immutable) {
+        return Promise.resolve({
+            status: 200,
+            headers: cached.headers,
+            data: cached.data
+        });
+    }
+
+    return client.request('GET', path, params)
+        .then(function(response) {
+            if (client.cache) {
+                client.setCache(requestUrl, {
+                    immutable: true,
+                    headers: {},
+                    data: response.data
+                });
+            }
+
+            return response;
+        });
+};
+
+/**
+ * Build the URL of a request
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} path The path relative to the base URL, or an absolute URL
+ * @param  {Object} [params] The query parameters
+ *
+ * @return {string}
+ */
+Client.prototype.getUrl = function(path, params) {
+    var query = querystring.stringify(normalizeParams(params));
+
+    return (path.match(/^https?:\/\//) ? path : this.baseUrl + path) + (query ? (path.indexOf('?') === -1 ? '?' : '&') + query : '');
+};
+
+/**
+ * Send a single request to the API. The GET requests with an `ETag`
+ * are cached, and sent again with `If-None-Match` to get a
+ * `304 Not Modified` response when they didn't change.
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} method The HTTP method e.g. `GET`
+ * @param  {string} path The path relative to the base URL, or an absolute URL
+ * @param  {Object} [params] The query parameters
+ * @param  {Object} [data] The body of the request
+ *
+ * @return {Promise} The promise which resolves the response ({status: status, headers: headers, data: data})
+ */
+Client.prototype.send = function(method, path, params, data) {
+    var client = this;
+    var requestUrl = client.getUrl(path, params);
+    var requestOptions = url.parse(requestUrl);
+    var cached = method === 'GET' && client.cache ? client.cache.get(requestUrl) : null;
+    var body = data ? JSON.stringify(data) : null;
+
+    requestOptions.method = method;
+    requestOptions.headers = Object.keys(client.headers).reduce(function(carry, header) {
+        carry[header] = client.headers[header];
+
+        return carry;
+    }, {
+        'Accept': 'application/json',
+        'User-Agent': 'github-release-notes'
+    });
+
+    if (cached && cached.etag) {
+        requestOptions.headers['If-None-Match'] = cached.etag;
+    }
+
+    if (body) {
+        requestOptions.headers['Content-Type'] = 'application/json';
+        requestOptions.headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise(function(resolve, reject) {
+        var request = (requestOptions.protocol === 'http:' ? http : https).request(requestOptions, function(response) {
+            var chunks = [];
+
+            response.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            response.on('end', function() {
+                var text = Buffer.concat(chunks).toString('utf8');
+                var rateLimit = getRateLimit(response.headers);
+                var responseData;
+
+                if (rateLimit) {
+                    client.rateLimit = rateLimit;
+                }
+
+                if (response.statusCode === 304 && cached) {
+                    resolve({
+                        status: response.statusCode,
+                        headers: cached.headers,
+                        data: cached.data
+                    });
+
+                    return;
+                }
+
+                try {
+                    responseData = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    responseData = text;
+                }
+
+                if (response.statusCode >= 400) {
+                    var error = new Error(chalk.red(method + ' ' + requestUrl + ' responded with ' + response.statusCode + ': ' + (responseData && responseData.message || text)));
+
+                    error.status = response.statusCode;
+                    error.headers = response.headers;
+                    reject(error);
+
+                    return;
+                }
+
+                if (method === 'GET' && client.cache && response.headers.etag) {
+                    client.setCache(requestUrl, {
+                        etag: response.headers.etag,
+                        headers: {
+                            link: response.headers.link
+                        },
+                        data: responseData
+                    });
+                }
+
+                resolve({
+                    status: response.statusCode,
+                    headers: response.headers,
+                    data: responseData
+                });
+            });
+        });
+
+        request.on('error', reject);
+
+        if (body) {
+            request.write(body);
+        }
+
+        request.end();
+    });
+};
+
+/**
+ * Request all the pages of a list, following the `Link` headers
+ * until the last page or the page limit
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} path The path of the list
+ * @param  {Object} [params] The query parameters of the first request
+ * @param  {Function} [isLastPage] Called with the items of each page, stops the paging when it returns true
+ * (e.g. when a sorted list reaches the items older than a date)
+ *
+ * @return {Promise} The promise which resolves the items of all the pages
+ */
+Client.prototype.requestAllPages = function(path, params, isLastPage) {
+    var client = this;
+    var results = [];
+    var firstParams = normalizeParams(params);
+
+    firstParams[client.pageParam] = client.pageSize;
+
+    function requestPage(pageUrl, pageParams, page) {
+        return client.request('GET', pageUrl, pageParams)
+            .then(function(response) {
+                var nextUrl = utils.getNextPageUrl(response.headers.link);
+
+                results = results.concat(response.data);
+
+                if (!nextUrl || (isLastPage && isLastPage(response.data))) {
+                    return results;
+                }
+
+                if (page >= client.pageLimit) {
+                    client.logger.warn(chalk.yellow('WARNING: Stopped after ' + page + ' pages of ' + path + ', some items could be missing (use --page-limit to raise the limit)'));
+
+                    return results;
+                }
+
+                return requestPage(nextUrl, null, page + 1);
+            });
+    }
+
+    return requestPage(path, firstParams, 1);
+};
+
+module.exports = {
+    Client: Client
+};
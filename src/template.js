@@ -1,30 +1,321 @@
 'use strict';
 
+var chalk = require('chalk');
+var utils = require('./utils');
+
+var parsedTemplates = {};
+
+/**
+ * The filters that can be used in the templates, e.g.
+ * `{{name | truncate:50}}`. Each filter receives the value,
+ * the argument (if any) after the colon and the date settings.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {Object}
+ */
+var filters = {
+    escape: function(value) {
+        return stringify(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    upper: function(value) {
+        return stringify(value).toUpperCase();
+    },
+    lower: function(value) {
+        return stringify(value).toLowerCase();
+    },
+    trim: function(value) {
+        return stringify(value).trim();
+    },
+    truncate: function(value, length) {
+        var string = stringify(value);
+        var maxLength = parseInt(length, 10) || 50;
+
+        return string.length > maxLength ? string.slice(0, maxLength - 3).trim() + '...' : string;
+    },
+    format: function(value, format, settings) {
+        return utils.formatDate(new Date(value), format, settings);
+    },
+    relative: function(value, argument, settings) {
+        return utils.formatRelativeDate(new Date(value), settings);
+    },
+    join: function(value, separator, settings) {
+        return [].concat(value).map(function(item) {
+            return stringify(item, settings);
+        }).join(separator === undefined ? ', ' : separator);
+    },
+    default: function(value, defaultValue) {
+        return isEmpty(value) ? defaultValue : value;
+    }
+};
+
+/**
+ * Check if a value is empty (falsy or an empty array)
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {*} value
+ *
+ * @return {boolean}
+ */
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Convert a placeholder value into a string
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {*} value
+ * @param  {Object} [settings] The date settings ({dateFormat: dateFormat, locale: locale, timeZone: timeZone})
+ *
+ * @return {string}
+ */
+function stringify(value, settings) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return utils.formatDate(value, settings && settings.dateFormat, settings);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(function(item) {
+            return stringify(item, settings);
+        }).join(', ');
+    }
+
+    return String(value);
+}
+
+/**
+ * Parse a template string into a tree of text, variables,
+ * `{{#if}}` and `{{#each}}` nodes
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} string
+ *
+ * @return {Object[]} The nodes of the template
+ */
+function parse(string) {
+    var root = { children: [] };
+    var stack = [root];
+
+    root.target = root.children;
+
+    string.split(/({{[^{}]+}})/).forEach(function(part, index) {
+        var current = stack[stack.length - 1];
+
+        if (index % 2 === 0) {
+            if (part) {
+                current.target.push({ type: 'text', value: part });
+            }
+
+            return;
+        }
+
+        var tag = part.slice(2, -2).trim();
+        var blockMatch = tag.match(/^#(if|each)\s+(.+)$/);
+        var closeMatch = tag.match(/^\/(if|each)$/);
+
+        if (blockMatch) {
+            var node = {
+                type: blockMatch[1],
+                expression: blockMatch[2].trim(),
+                children: [],
+                alternate: []
+            };
+
+            node.target = node.children;
+            current.target.push(node);
+            stack.push(node);
+        } else if (tag === 'else' && stack.length > 1) {
+            current.target = current.alternate;
+        } else if (closeMatch) {
+            if (current.type !== closeMatch[1]) {
+                throw chalk.red('Unexpected {{' + tag + '}} in the template: ' + string);
+            }
+
+            stack.pop();
+        } else {
+            current.target.push({ type: 'variable', expression: tag, raw: part });
+        }
+    });
+
+    if (stack.length > 1) {
+        throw chalk.red('Missing {{/' + stack[stack.length - 1].type + '}} in the template: ' + string);
+    }
+
+    return root.children;
+}
+
+/**
+ * Find the value of a path (e.g. `name`, `milestone.title`, `this` or `@index`)
+ * in the scopes, from the innermost one
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} path
+ * @param  {Object[]} scopes
+ *
+ * @return {Object} The result ({found: found, value: value})
+ */
+function resolve(path, scopes) {
+    var scope = scopes[scopes.length - 1];
+    var keys = path.split('.');
+    var value;
+
+    if (keys[0] === 'this' || keys[0] === '@index') {
+        value = keys.shift() === 'this' ? scope.item : scope.index;
+    } else {
+        var owner = scopes.slice().reverse().filter(function(scope) {
+            return scope.item !== null && typeof scope.item === 'object' && scope.item.hasOwnProperty(keys[0]);
+        })[0];
+
+        if (!owner) {
+            return { found: false };
+        }
+
+        value = owner.item;
+    }
+
+    value = keys.reduce(function(carry, key) {
+        return carry === undefined || carry === null ? undefined : carry[key];
+    }, value);
+
+    return { found: true, value: value };
+}
+
+/**
+ * Evaluate an expression with its filters e.g. `date | format:'YYYY-MM-DD'`
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} expression
+ * @param  {Object[]} scopes
+ * @param  {Object} [settings] The date settings
+ *
+ * @return {Object} The result ({found: found, value: value})
+ */
+function evaluate(expression, scopes, settings) {
+    var parts = expression.match(/(?:[^|'"]+|'[^']*'|"[^"]*")+/g).map(function(part) {
+        return part.trim();
+    });
+    var result = resolve(parts.shift(), scopes);
+
+    if (!parts.length) {
+        return result;
+    }
+
+    return {
+        found: true,
+        value: parts.reduce(function(value, filter) {
+            var filterMatch = filter.match(/^(\w+)(?:\s*:\s*(.+))?$/);
+            var filterName = filterMatch && filterMatch[1];
+            var argument = filterMatch && filterMatch[2] && filterMatch[2].replace(/^(['"])(.*)\1$/, '$2');
+
+            if (!filters.hasOwnProperty(filterName)) {
+                throw chalk.red('The template filter "' + filter + '" does not exist');
+            }
+
+            return filters[filterName](value, argument, settings);
+        }, result.value)
+    };
+}
+
+/**
+ * Render the nodes of a template
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {Object[]} nodes
+ * @param  {Object[]} scopes
+ * @param  {Object} [settings] The date settings
+ *
+ * @return {string}
+ */
+function render(nodes, scopes, settings) {
+    return nodes.map(function(node) {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        var result = evaluate(node.expression, scopes, settings);
+
+        if (node.type === 'if') {
+            return render(isEmpty(result.value) ? node.alternate : node.children, scopes, settings);
+        }
+
+        if (node.type === 'each') {
+            if (isEmpty(result.value)) {
+                return render(node.alternate, scopes, settings);
+            }
+
+            return [].concat(result.value).map(function(item, index) {
+                return render(node.children, scopes.concat({ item: item, index: index }), settings);
+            }).join('');
+        }
+
+        return result.found ? stringify(result.value, settings) : node.raw;
+    }).join('');
+}
+
 /**
  * Generate the templated string based on
  * a placeholders Object
  *
+ * The string can contain `{{placeholder}}`, `{{placeholder | filter:argument}}`,
+ * `{{#if placeholder}}...{{else}}...{{/if}}` and `{{#each placeholder}}...{{/each}}`.
+ * The placeholders that don't exist are left as they are.
+ *
  * @since  0.6.0
  * @private
  *
  * @param  {Object} placeholders All the keys/values to update
  * @param  {string|Function} string The string or the function that needs to be replaced
+ * @param  {Object} [settings] The settings used to render the dates e.g.
+ * {
+ *     dateFormat: 'YYYY-MM-DD',
+ *     locale: 'en-US',
+ *     timeZone: 'UTC'
+ * }
  *
  * @return {string}
  */
-function generate(placeholders, string) {
+function generate(placeholders, string, settings) {
     if (typeof string === 'function') {
-        return string(placeholders);
+        return string(Object.keys(placeholders).reduce(function(carry, placeholder) {
+            var value = placeholders[placeholder];
+
+            carry[placeholder] = value instanceof Date ? stringify(value, settings) : value;
+
+            return carry;
+        }, {}));
     }
 
-    return Object.keys(placeholders)
-        .reduce(function(carry, placeholder) {
-            var placeholderRegExp = new RegExp('{{' + placeholder + '}}', 'g');
+    if (!parsedTemplates.hasOwnProperty(string)) {
+        parsedTemplates[string] = parse(string);
+    }
 
-            return carry.replace(placeholderRegExp, placeholders[placeholder]);
-        }, string);
+    return render(parsedTemplates[string], [{ item: placeholders, index: 0 }], settings);
 }
 
 module.exports = {
+    filters: filters,
     generate: generate
 };
@@ -1,10 +1,24 @@
 'use strict';
 
 var chalk = require('chalk');
+var diff = require('diff');
 var fs = require('fs');
 var minimist = require('minimist');
 require('require-yaml');
 
+/**
+ * The markers of the section of a release body managed by gren
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @type {Object}
+ */
+var sectionMarkers = {
+    start: '<!-- gren:start -->',
+    end: '<!-- gren:end -->'
+};
+
 /**
  * Sort an object by its keys
  *
@@ -30,10 +44,11 @@ function sortObject(object) {
 * @since 0.5.0
 * @public
 *
+* @param  {GithubReleaseNotes} gren
 * @param  {string} name The name of the task
 */
-function printTask(name) {
-    process.stdout.write(chalk.blue(name + ' task:\n===================================\n'));
+function printTask(gren, name) {
+    gren.logger.write(chalk.blue(name + ' task:\n===================================\n'));
 }
 /**
 * Outputs the task status
@@ -41,23 +56,26 @@ function printTask(name) {
 * @since 0.5.0
 * @public
 *
+* @param  {GithubReleaseNotes} gren
 * @param  {string} taskName The task name
 *
 * @return {Function}          The function to be fired when is loaded
 */
 function task(gren, taskName) {
     var time = process.hrtime();
-    process.stdout.write(chalk.green(taskName) + ': .');
+    gren.logger.write(chalk.green(taskName) + ': .');
 
-    gren.tasks[taskName] = setInterval(function() {
-        process.stdout.write('.');
-    }, 100);
+    if (!gren.logger.silent) {
+        gren.tasks[taskName] = setInterval(function() {
+            gren.logger.write('.');
+        }, 100);
+    }
 
     return function(message) {
         var diff = process.hrtime(time);
         var seconds = ((diff[0] * 1e9 + diff[1]) * 1e-9).toFixed(2);
 
-        process.stdout.write(message || '' + chalk.yellow(' (' + seconds + ' secs)\n'));
+        gren.logger.write(message || '' + chalk.yellow(' (' + seconds + ' secs)\n'));
         clearInterval(gren.tasks[taskName]);
 
         gren.tasks[taskName] = seconds;
@@ -73,33 +91,66 @@ function task(gren, taskName) {
  * @param  {GithubReleaseNotes} gren
  */
 function clearTasks(gren) {
-    if (!Object.keys(gren.tasks.length)) {
+    var runningTasks = Object.keys(gren.tasks || {}).filter(function(taskName) {
+        return typeof gren.tasks[taskName] !== 'string';
+    });
+
+    if (!runningTasks.length) {
         return;
     }
 
-    Object.keys(gren.tasks).forEach(function(taskName) {
+    runningTasks.forEach(function(taskName) {
         clearInterval(gren.tasks[taskName]);
     });
 
-    process.stdout.write(chalk.red('\nTask(s) stopped because of the following error:\n'));
+    gren.logger.write(chalk.red('\nTask(s) stopped because of the following error:\n'));
 
     gren.tasks = [];
 }
 
 /**
-* Check if e value is between a min and a max
+* Convert a date (a Date, a timestamp or an ISO string) into a UTC timestamp.
+* The ISO strings without a time zone are considered in UTC.
+*
+* @since 0.9.0
+* @public
+*
+* @param  {Date|number|string} date
+*
+* @return {number}
+*/
+function toUTCTimestamp(date) {
+    if (typeof date === 'number') {
+        return date;
+    }
+
+    if (date instanceof Date) {
+        return date.getTime();
+    }
+
+    var hasTimeZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(date) || date.indexOf('T') === -1;
+
+    return Date.parse(hasTimeZone ? date : date + 'Z');
+}
+
+/**
+* Check if e value is between a min and a max.
+* The dates are compared in UTC.
 *
 * @since 0.5.0
 * @public
 *
-* @param  {number}  value
-* @param  {number}  min
-* @param  {number}  max
+* @param  {number|string|Date}  value
+* @param  {number|string|Date}  min
+* @param  {number|string|Date}  max
 *
 * @return {Boolean}
 */
 function isInRange(value, min, max) {
-    return !Math.floor((value - min) / (max - min));
+    var utcValue = toUTCTimestamp(value);
+    var utcMin = toUTCTimestamp(min);
+
+    return !Math.floor((utcValue - utcMin) / (toUTCTimestamp(max) - utcMin));
 }
 
 /**
@@ -121,7 +172,8 @@ function dashToCamelCase(value) {
 }
 
 /**
-* Create a literal object of the node module options
+* Create a literal object of the node module options.
+* The first positional argument is the action e.g. `gren changelog`
 *
 * @since 0.1.0
 * @public
@@ -140,6 +192,10 @@ function getBashOptions(args) {
         }
     });
 
+    if (options._.length && !settings.action) {
+        settings.action = options._[0];
+    }
+
     return settings;
 }
 
@@ -175,6 +231,74 @@ function convertStringToArray(arrayLike) {
         });
 }
 
+/**
+ * Converts a comma separated string of patterns to an Array,
+ * without the spaces around each pattern and the empty ones
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string|Array} patterns e.g. "v1*, v2*"
+ *
+ * @return {Array}
+ */
+function convertStringToPatterns(patterns) {
+    if (typeof patterns !== 'string') {
+        return [].concat(patterns || []);
+    }
+
+    return patterns
+        .split(',')
+        .map(function(pattern) {
+            return pattern.trim();
+        })
+        .filter(Boolean);
+}
+
+/**
+* Get the parts of a date, in the time zone of the settings
+* or in the local one
+*
+* @since 0.9.0
+* @private
+*
+* @param  {Date} date
+* @param  {string} [timeZone] e.g. `UTC` or `America/New_York`
+*
+* @return {Object}
+*/
+function getDateParts(date, timeZone) {
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds()
+        };
+    }
+
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hour12: false,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    })
+    .formatToParts(date)
+    .reduce(function(carry, part) {
+        if (part.type !== 'literal') {
+            carry[part.type] = parseInt(part.value, 10) % (part.type === 'hour' ? 24 : Infinity);
+        }
+
+        return carry;
+    }, {});
+}
+
 /**
 * Format a date into a string
 *
@@ -182,10 +306,371 @@ function convertStringToArray(arrayLike) {
 * @public
 *
 * @param  {Date} date
+* @param  {string} [format] The format of the date, using the tokens
+* YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, mm and ss
+* @param  {Object} [settings] The locale (used by the names of months and days) and the time zone e.g.
+* {
+*     locale: 'en-US',
+*     timeZone: 'America/New_York'
+* }
+* @return {string}
+*/
+function formatDate(date, format, settings) {
+    var locale = settings && settings.locale || undefined;
+    var timeZone = settings && settings.timeZone || undefined;
+    var parts = getDateParts(date, timeZone);
+    var getName = function(options) {
+        options.timeZone = timeZone;
+
+        return date.toLocaleDateString(locale, options);
+    };
+    var tokens = {
+        YYYY: function() {
+            return parts.year;
+        },
+        YY: function() {
+            return ('' + parts.year).slice(-2);
+        },
+        MMMM: function() {
+            return getName({ month: 'long' });
+        },
+        MMM: function() {
+            return getName({ month: 'short' });
+        },
+        MM: function() {
+            return ('0' + parts.month).slice(-2);
+        },
+        M: function() {
+            return parts.month;
+        },
+        DD: function() {
+            return ('0' + parts.day).slice(-2);
+        },
+        D: function() {
+            return parts.day;
+        },
+        dddd: function() {
+            return getName({ weekday: 'long' });
+        },
+        ddd: function() {
+            return getName({ weekday: 'short' });
+        },
+        HH: function() {
+            return ('0' + parts.hour).slice(-2);
+        },
+        H: function() {
+            return parts.hour;
+        },
+        mm: function() {
+            return ('0' + parts.minute).slice(-2);
+        },
+        ss: function() {
+            return ('0' + parts.second).slice(-2);
+        }
+    };
+
+    return (format || 'DD/MM/YYYY').replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|mm|ss/g, function(token) {
+        return tokens[token]();
+    });
+}
+
+/**
+* Format a date relatively to now, e.g. `3 days ago`
+*
+* @since 0.9.0
+* @public
+*
+* @param  {Date} date
+* @param  {Object} [settings] The locale of the text ({locale: locale})
+* @param  {Date} [now] The date to compare with, now by default
+*
 * @return {string}
 */
-function formatDate(date) {
-    return ('0' + date.getDate()).slice(-2) + '/' + ('0' + (date.getMonth() + 1)).slice(-2) + '/' + date.getFullYear();
+function formatRelativeDate(date, settings, now) {
+    var units = [
+        ['year', 31536000],
+        ['month', 2592000],
+        ['week', 604800],
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1]
+    ];
+    var seconds = Math.round((date - (now || new Date())) / 1000);
+    var unit = units.filter(function(unit) {
+        return Math.abs(seconds) >= unit[1];
+    })[0] || units[units.length - 1];
+    var value = Math.round(seconds / unit[1]);
+
+    if (typeof Intl !== 'undefined' && Intl.RelativeTimeFormat) {
+        return new Intl.RelativeTimeFormat(settings && settings.locale || undefined, { numeric: 'auto' }).format(value, unit[0]);
+    }
+
+    var text = Math.abs(value) + ' ' + unit[0] + (Math.abs(value) === 1 ? '' : 's');
+
+    return value < 0 ? text + ' ago' : 'in ' + text;
+}
+
+/**
+ * Convert a glob (e.g. `v*`) or a regular expression
+ * between slashes (e.g. `/^v\d+/`) into a RegExp
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} pattern
+ *
+ * @return {RegExp}
+ */
+function patternToRegExp(pattern) {
+    var regExpMatch = pattern.match(/^\/(.+)\/([gimuy]*)$/);
+
+    if (regExpMatch) {
+        return new RegExp(regExpMatch[1], regExpMatch[2]);
+    }
+
+    return new RegExp('^' + pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.') + '$');
+}
+
+/**
+ * Get the URL of the next page from a `Link` header
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} linkHeader The value of the `Link` header
+ * e.g.
+ * '<https://api.github.com/repositories/1/tags?page=2>; rel="next", <https://api.github.com/repositories/1/tags?page=5>; rel="last"'
+ *
+ * @return {string|boolean} The URL of the next page, or false if it's the last one
+ */
+function getNextPageUrl(linkHeader) {
+    return (linkHeader || '')
+        .split(/\s*,\s*/)
+        .reduce(function(carry, link) {
+            var match = link.match(/<([^>]*)>;\s*rel="next"/);
+
+            return carry || (match && match[1]);
+        }, false) || false;
+}
+
+/**
+ * Get the numbers matched by the first group of a RegExp
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {RegExp} regExp A global RegExp
+ * @param  {string} text
+ *
+ * @return {number[]}
+ */
+function matchNumbers(regExp, text) {
+    var numbers = [];
+    var match;
+
+    while ((match = regExp.exec(text))) {
+        numbers.push(parseInt(match[1], 10));
+    }
+
+    return numbers;
+}
+
+/**
+ * Get the references of a commit message (or of the body of a pull request):
+ * the issues closed by it (e.g. `fixes #12`) and the pull requests it merges
+ * (e.g. `Merge pull request #34 from ...`, `Add a feature (#34)` or `See merge request group/repo!34`)
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} text
+ *
+ * @return {Object} ({issues: issues, pullRequests: pullRequests})
+ */
+function getIssueReferences(text) {
+    var firstLine = (text || '').split('\n')[0];
+
+    return {
+        issues: matchNumbers(/\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+#(\d+)\b/gi, text || ''),
+        pullRequests: matchNumbers(/^Merge pull request #(\d+)\b/g, firstLine)
+            .concat(matchNumbers(/\(#(\d+)\)\s*$/g, firstLine))
+            .concat(matchNumbers(/^See merge request \S*!(\d+)\s*$/gm, text || ''))
+    };
+}
+
+/**
+ * Split a commit message into its header (the first line), its body
+ * and its trailers, which are left out of the body: the last paragraph
+ * when it's only made of `Key: value` lines with the git style keys
+ * (hyphenated e.g. `Co-authored-by`, `Signed-off-by`), `BREAKING CHANGE`,
+ * `Cc`, `Closes`, `Fixes` or `Refs`. Any other paragraph e.g.
+ * `Note: ...` is part of the body.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} message
+ *
+ * @return {Object} ({header: header, body: body, trailers: [{key: key, value: value}]})
+ */
+function parseCommitMessage(message) {
+    var paragraphs = (message || '').replace(/\r\n/g, '\n').trim().split(/\n\s*\n/);
+    var firstLines = paragraphs.shift().split('\n');
+    var header = firstLines.shift();
+    var trailerRegExp = /^([a-z0-9]+(?:-[a-z0-9]+)+|BREAKING CHANGE|Cc|Closes|Fixes|Refs):\s+(.*)$/i;
+    var trailers = [];
+
+    if (firstLines.length) {
+        paragraphs.unshift(firstLines.join('\n'));
+    }
+
+    var lastLines = paragraphs.length ? paragraphs[paragraphs.length - 1].split('\n') : [];
+    var isTrailers = lastLines.length && trailerRegExp.test(lastLines[0]) && lastLines.every(function(line) {
+        return trailerRegExp.test(line) || /^\s+\S/.test(line);
+    });
+
+    if (isTrailers) {
+        paragraphs.pop();
+        lastLines.forEach(function(line) {
+            var match = line.match(trailerRegExp);
+
+            if (match) {
+                trailers.push({ key: match[1], value: match[2] });
+            } else {
+                trailers[trailers.length - 1].value += ' ' + line.trim();
+            }
+        });
+    }
+
+    return {
+        header: header,
+        body: paragraphs.join('\n\n'),
+        trailers: trailers
+    };
+}
+
+/**
+ * Parse the URL of a git remote, in the SSH or HTTP form,
+ * into the host, the owner and the name of the repo.
+ * The owner can contain the subgroups e.g. `group/subgroup`.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} remoteUrl e.g. `git@github.com:github-tools/github-release-notes.git`
+ *
+ * @return {Object} ({host: host, username: username, repo: repo})
+ */
+function parseRemoteUrl(remoteUrl) {
+    var match = remoteUrl.trim().match(/^(?:[\w+]+:\/\/)?(?:[^@/]+@)?([^/:]+)(?::\d+)?[:/](.+?)(?:\.git)?\/?$/);
+    var path = match ? match[2].replace(/^\/+/, '').split('/') : [];
+
+    return {
+        host: match ? match[1] : null,
+        username: path.slice(0, -1).join('/'),
+        repo: path[path.length - 1]
+    };
+}
+
+/**
+ * Find the section of a release body: a start marker followed by an end marker,
+ * without another start marker in between (a stray one is never spanned)
+ *
+ * @since 0.9.0
+ * @private
+ *
+ * @param  {string} body
+ *
+ * @return {Object|null} The positions of the markers ({start: start, end: end}), null if there is no section
+ */
+function findSection(body) {
+    var start = body.indexOf(sectionMarkers.start);
+
+    while (start !== -1) {
+        var end = body.indexOf(sectionMarkers.end, start);
+        var nextStart = body.indexOf(sectionMarkers.start, start + 1);
+
+        if (end === -1) {
+            return null;
+        }
+
+        if (nextStart === -1 || end < nextStart) {
+            return {
+                start: start,
+                end: end
+            };
+        }
+
+        start = nextStart;
+    }
+
+    return null;
+}
+
+/**
+ * Replace the section between the markers of a release body with the content,
+ * keeping everything outside it. The section is appended if the markers are missing.
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} body The current release body
+ * @param  {string} content The content of the section
+ *
+ * @return {string}
+ */
+function mergeSection(body, content) {
+    var currentBody = body || '';
+    var section = sectionMarkers.start + '\n' + content.replace(/\s+$/, '') + '\n' + sectionMarkers.end;
+    var position = findSection(currentBody);
+
+    if (!position) {
+        return (currentBody.trim() ? currentBody.replace(/\s+$/, '') + '\n\n' : '') + section;
+    }
+
+    return currentBody.slice(0, position.start) + section + currentBody.slice(position.end + sectionMarkers.end.length);
+}
+
+/**
+ * Create a coloured unified diff between two strings
+ *
+ * @since 0.9.0
+ * @public
+ *
+ * @param  {string} name The name of the diffed content e.g. `CHANGELOG.md`
+ * @param  {string} oldString The current content
+ * @param  {string} newString The new content
+ *
+ * @return {string}
+ */
+function formatDiff(name, oldString, newString) {
+    return diff.createPatch(name, oldString, newString, 'current', 'generated')
+        .split('\n')
+        .slice(2)
+        .map(function(line) {
+            if (line.match(/^(\+\+\+|---)/)) {
+                return chalk.bold(line);
+            }
+
+            if (line.match(/^@@/)) {
+                return chalk.cyan(line);
+            }
+
+            if (line.match(/^\+/)) {
+                return chalk.green(line);
+            }
+
+            if (line.match(/^-/)) {
+                return chalk.red(line);
+            }
+
+            return line;
+        })
+        .join('\n');
 }
 
 /**
@@ -240,7 +725,18 @@ module.exports = {
     dashToCamelCase: dashToCamelCase,
     isInRange: isInRange,
     convertStringToArray: convertStringToArray,
+    convertStringToPatterns: convertStringToPatterns,
+    toUTCTimestamp: toUTCTimestamp,
     formatDate: formatDate,
+    formatRelativeDate: formatRelativeDate,
+    getNextPageUrl: getNextPageUrl,
+    parseRemoteUrl: parseRemoteUrl,
+    getIssueReferences: getIssueReferences,
+    parseCommitMessage: parseCommitMessage,
+    patternToRegExp: patternToRegExp,
+    sectionMarkers: sectionMarkers,
+    mergeSection: mergeSection,
+    formatDiff: formatDiff,
     getConfigFromFile: getConfigFromFile,
     noop: function() {}
 };
@@ -0,0 +1,44 @@
+'use strict';
+
+var bump = require('../src/bump');
+
+exports['bump'] = {
+    'Should get the keys of a change': function (test) {
+        test.expect(3);
+
+        test.deepEqual(bump.getKeys('Add the arrays support', [{ name: 'enhancement' }, { name: 'parser' }]), ['enhancement', 'parser'], 'Given an issue with labels');
+        test.deepEqual(bump.getKeys('feat(parser)!: drop the arrays support'), ['feat', 'breaking'], 'Given a breaking commit');
+        test.deepEqual(bump.getKeys('Update the docs'), [], 'Given a message not following the specification');
+        test.done();
+    },
+    'Should get the highest level of the changes': function (test) {
+        test.expect(4);
+
+        var changes = [
+            { title: '#1 Fix the parser', keys: ['bug'] },
+            { title: '#2 Add the arrays support', keys: ['enhancement'] },
+            { title: 'feat: add the options', keys: ['feat'] }
+        ];
+
+        test.deepEqual(bump.getLevel(bump.rules, changes), {
+            level: 'minor',
+            reasons: ['#2 Add the arrays support', 'feat: add the options']
+        }, 'Given some features');
+        test.deepEqual(bump.getLevel(bump.rules, changes.concat({ title: 'refactor!: drop node 4', keys: ['refactor', 'breaking'] })).level, 'major', 'Given a breaking change');
+        test.deepEqual(bump.getLevel({ major: 'bug' }, changes.slice(0, 1)).level, 'major', 'Given custom rules');
+        test.deepEqual(bump.getLevel(bump.rules, []), { level: null, reasons: [] }, 'Given no changes');
+        test.done();
+    },
+    'Should increment the version of a tag': function (test) {
+        test.expect(5);
+
+        test.deepEqual(bump.increment('v1.2.3', 'minor'), 'v1.3.0', 'Given a tag with a prefix');
+        test.deepEqual(bump.increment('@scope/pkg2@1.2.3', 'minor', '@scope/pkg2@'), '@scope/pkg2@1.3.0', 'Given the prefix of a package tag');
+        test.deepEqual(bump.increment('1.2.3', 'major'), '2.0.0', 'Given a tag without a prefix');
+        test.deepEqual(bump.increment('release-1.2.3', 'patch'), 'release-1.2.4', 'Given a tag with a custom prefix');
+        test.throws(function() {
+            bump.increment('latest', 'patch');
+        }, 'Given a tag which is not a semver version');
+        test.done();
+    }
+};
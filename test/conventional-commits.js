@@ -0,0 +1,37 @@
+'use strict';
+
+var conventionalCommits = require('../src/conventional-commits');
+
+exports['conventional-commits'] = {
+    'Should parse a Conventional Commits message': function (test) {
+        test.expect(3);
+
+        test.deepEqual(conventionalCommits.parse('feat(parser): add the arrays support'), {
+            type: 'feat',
+            scope: 'parser',
+            subject: 'add the arrays support',
+            breaking: false
+        }, 'Given a message with a scope');
+        test.deepEqual(conventionalCommits.parse('Fix: handle empty lines'), {
+            type: 'fix',
+            scope: '',
+            subject: 'handle empty lines',
+            breaking: false
+        }, 'Given a message without a scope');
+        test.deepEqual(conventionalCommits.parse('Merge pull request #12 from user/branch\n\nfeat: something'), {
+            type: null,
+            scope: '',
+            subject: 'Merge pull request #12 from user/branch',
+            breaking: false
+        }, 'Given a message not following the specification');
+        test.done();
+    },
+    'Should detect the breaking changes': function (test) {
+        test.expect(3);
+
+        test.deepEqual(conventionalCommits.parse('refactor!: drop Node 4').breaking, true, 'Given a message with an exclamation mark');
+        test.deepEqual(conventionalCommits.parse('feat(api): new options\n\nBREAKING CHANGE: the config is now required').breaking, true, 'Given a message with a BREAKING CHANGE footer');
+        test.deepEqual(conventionalCommits.parse('fix: typo\n\nThis is not a BREAKING CHANGE: really').breaking, false, 'Given a message mentioning a breaking change in the body');
+        test.done();
+    }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+var formats = require('../src/formats');
+
+var gren = {
+    options: {
+        username: 'u',
+        repo: 'r',
+        dateFormat: 'YYYY-MM-DD',
+        timeZone: 'UTC',
+        template: {
+            changelogTitle: '# Changelog\n\n'
+        }
+    },
+    provider: {
+        repoUrl: 'https://github.com/u/r',
+        getReleaseUrl: function(tag) {
+            return 'https://github.com/u/r/releases/tag/' + tag;
+        }
+    }
+};
+
+var releases = [
+    {
+        release: 'v2',
+        name: 'v2 <Arrays & "Objects">',
+        published_at: '2017-02-01T00:00:00Z',
+        body: '- Support the <script>alert(1)</script> tags [#1](https://github.com/u/r/issues/1)\n'
+    },
+    {
+        tag_name: 'v1',
+        name: 'v1',
+        html_url: 'https://github.com/u/r/releases/tag/v1',
+        published_at: '2017-01-01T00:00:00Z',
+        body: '- First release\n'
+    }
+];
+
+exports['formats'] = {
+    'Should generate the JSON changelog from the releases and the blocks': function (test) {
+        test.expect(2);
+
+        var data = JSON.parse(formats.json(gren, releases));
+
+        test.deepEqual(data.releases[0], {
+            name: 'v2 <Arrays & "Objects">',
+            tag: 'v2',
+            date: '2017-02-01T00:00:00Z',
+            url: 'https://github.com/u/r/releases/tag/v2',
+            body: releases[0].body,
+            groups: [],
+            contributors: []
+        }, 'Given a release block');
+        test.deepEqual(data.releases[1].url, 'https://github.com/u/r/releases/tag/v1', 'Given a release of the provider');
+        test.done();
+    },
+    'Should escape the HTML changelog': function (test) {
+        test.expect(4);
+
+        var content = formats.html(gren, releases);
+
+        test.ok(content.indexOf('<title>Changelog</title>') !== -1, 'Given the title of the changelog');
+        test.ok(content.indexOf('<a href="https://github.com/u/r/releases/tag/v2">v2 &lt;Arrays &amp; &quot;Objects&quot;&gt;</a>') !== -1, 'Escaping the name of the release');
+        test.ok(content.indexOf('<script>') === -1 && content.indexOf('&lt;script&gt;alert(1)&lt;/script&gt;') !== -1, 'Escaping the HTML of the body');
+        test.ok(content.indexOf('<time datetime="2017-02-01T00:00:00Z">2017-02-01</time>') !== -1, 'Given the date of the release');
+        test.done();
+    },
+    'Should generate a valid Atom feed': function (test) {
+        test.expect(7);
+
+        var content = formats.atom(gren, releases);
+        var entries = content.match(/<entry>[\s\S]*?<\/entry>/g);
+        var contents = content.match(/<content type="html">[^<]*<\/content>/g);
+
+        test.ok(content.indexOf('<?xml version="1.0" encoding="utf-8"?>\n<feed xmlns="http://www.w3.org/2005/Atom">') === 0, 'Given the XML declaration and the Atom namespace');
+        test.ok(content.indexOf('<id>https://github.com/u/r/releases</id>') !== -1 && content.indexOf('<updated>2017-02-01T00:00:00.000Z</updated>\n<entry>') !== -1, 'Given the id and the date of the last update of the feed');
+        test.ok(content.indexOf('<author><name>u</name><uri>https://github.com/u</uri></author>\n<updated>') !== -1, 'Given the owner of the repo as the author of the feed');
+        test.deepEqual(entries.length, 2, 'Given an entry per release');
+        test.deepEqual(entries.map(function(entry) {
+            return ['id', 'title', 'updated'].every(function(element) {
+                return new RegExp('<' + element + '>[^<]+</' + element + '>').test(entry);
+            });
+        }), [true, true], 'Given the required elements of each entry');
+        test.ok(entries[0].indexOf('<title>v2 &lt;Arrays &amp; &quot;Objects&quot;&gt;</title>') !== -1, 'Escaping the title of the entry');
+        test.deepEqual(contents.length, 2, 'Escaping the HTML content of each entry');
+        test.done();
+    }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var githubInfo = require('../src/github-info');
+
+exports['github-info'] = {
+    'Should pass the branch and the path to git without a shell': function (test) {
+        test.expect(2);
+
+        var marker = path.join(os.tmpdir(), 'gren-github-info-' + process.pid);
+
+        githubInfo.commits('2000-01-01T00:00:00Z', new Date(), null, '$(touch ' + marker + ')', function(commits) {
+            test.deepEqual(commits, [], 'Given a path with a command substitution');
+            test.deepEqual(fs.existsSync(marker), false, 'Without running the command');
+        })
+        .catch(test.ifError)
+        .then(test.done);
+    },
+    'Should reject a branch read as an option': function (test) {
+        test.expect(1);
+
+        githubInfo.head('--output=/dev/null', function() {})
+            .then(function() {
+                test.ok(false, 'Given a branch starting with a dash');
+            }, function(error) {
+                test.ok(/is not valid/.test(error.message), 'Given a branch starting with a dash');
+            })
+            .then(test.done);
+    }
+};
@@ -0,0 +1,991 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var GithubReleaseNotes = require('../src/gren');
+var createServer = require('./helpers/server').createServer;
+
+/**
+ * The routes of a repo with the tags v2 and v1, and without any release
+ */
+var baseRoutes = {
+    '/repos/u/r/tags': [{ name: 'v2', commit: { sha: 'b' } }, { name: 'v1', commit: { sha: 'a' } }],
+    '/repos/u/r/git/commits/a': { committer: { date: '2017-01-01T00:00:00Z' } },
+    '/repos/u/r/git/commits/b': { committer: { date: '2017-02-01T00:00:00Z' } },
+    '/repos/u/r/releases': []
+};
+
+/**
+ * The options of a library using the local stand-in of the GitHub API
+ */
+var baseOptions = {
+    username: 'u',
+    repo: 'r',
+    token: 'abc',
+    cache: false,
+    logger: false
+};
+
+/**
+ * Create a gren instance using a local stand-in of the GitHub API,
+ * with the base routes and options extended by the given ones
+ */
+function createGren(routes, options, callback) {
+    createServer(Object.assign({}, baseRoutes, routes), function(apiUrl, requests, close) {
+        callback(new GithubReleaseNotes(Object.assign({}, baseOptions, options, { apiUrl: apiUrl })), requests, close);
+    });
+}
+
+exports['gren'] = {
+    'Should not read the command line when the options are passed': function (test) {
+        test.expect(6);
+
+        var gren = new GithubReleaseNotes({ username: 'u', repo: 'r', logger: false });
+
+        test.deepEqual(gren.options.action, undefined, 'Given the options of a library');
+        test.deepEqual(gren.options.hasOwnProperty('logger'), false, 'Keeping the logger out of the options');
+        test.deepEqual(gren.options.cache, false, 'Without the cache of the API responses by default');
+        test.deepEqual(gren.options.changelogFilename, 'CHANGELOG.md', 'Given the Markdown changelog by default');
+        test.deepEqual(['json', 'html', 'atom'].map(function(format) {
+            return new GithubReleaseNotes({ username: 'u', repo: 'r', logger: false, format: format }).options.changelogFilename;
+        }), ['CHANGELOG.json', 'CHANGELOG.html', 'CHANGELOG.xml'], 'Given the extension of the format');
+        test.deepEqual(new GithubReleaseNotes({ username: 'u', repo: 'r', logger: false, format: 'json', changelogFilename: 'releases.json' }).options.changelogFilename, 'releases.json', 'Given a file name');
+        test.done();
+    },
+    'Should trim the patterns of the options': function (test) {
+        test.expect(3);
+
+        var gren = new GithubReleaseNotes({ username: 'u', repo: 'r', logger: false, ignoreTags: 'v1*, v2*', ignoreIssuesFrom: 'alice, *[bot]', ignoreContributors: 'ci-user ,' });
+
+        test.deepEqual(gren.options.ignoreTags, ['v1*', 'v2*'], 'Given the ignored tags');
+        test.deepEqual(gren.options.ignoreIssuesFrom, ['alice', '*[bot]'], 'Given the ignored authors');
+        test.deepEqual(gren.options.ignoreContributors, ['ci-user'], 'Given the ignored contributors');
+        test.done();
+    },
+    'Should stop the progress of the tasks when a call fails': function (test) {
+        test.expect(4);
+
+        var setTimer = global.setInterval;
+        var clearTimer = global.clearInterval;
+        var timers = [];
+        var created = 0;
+
+        global.setInterval = function() {
+            var timer = setTimer.apply(null, arguments);
+
+            created++;
+            timers.push(timer);
+
+            return timer;
+        };
+        global.clearInterval = function(timer) {
+            timers = timers.filter(function(activeTimer) {
+                return activeTimer !== timer;
+            });
+            clearTimer(timer);
+        };
+
+        var restore = function() {
+            global.setInterval = setTimer;
+            global.clearInterval = clearTimer;
+        };
+
+        createGren({
+            '/repos/u/r/tags': null
+        }, {
+            logger: {
+                write: function() {}
+            }
+        }, function(gren, requests, close) {
+            var silentGren = new GithubReleaseNotes(Object.assign({}, gren.options, { logger: false }));
+
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function() {
+                    test.ok(false, 'The blocks should not be generated');
+                }, function(error) {
+                    test.ok(error, 'Rejecting the call');
+                    test.ok(created > 0, 'Given the progress of the tasks');
+                    test.deepEqual(timers.length, 0, 'Without any timer left');
+                    created = 0;
+
+                    return silentGren.init()
+                        .then(function() {
+                            return silentGren.generateBlocks();
+                        })
+                        .catch(function() {
+                            test.deepEqual(created, 0, 'Without any timer for a silent logger');
+                        });
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    restore();
+                    close(test.done);
+                });
+        });
+    },
+    'Should generate the blocks and render the changelog through the logger': function (test) {
+        test.expect(4);
+
+        var messages = [];
+
+        createGren({
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }, { sha: 'a', commit: { message: 'Release v1' } }]
+        }, {
+            dataSource: 'commits',
+            logger: {
+                log: function(message) {
+                    messages.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks.length, 1, 'Given the last two tags');
+                    test.deepEqual(blocks[0].body, '- Add the arrays support\n', 'Given the commits between them');
+                    test.ok(messages.indexOf('Tags found: v2, v1') !== -1, 'Logging to the given logger');
+
+                    return gren.renderChangelog(blocks);
+                })
+                .then(function(content) {
+                    test.ok(content.indexOf('## v2') !== -1, 'Rendering the changelog without writing it');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should render the commits with their placeholders, without the trailers': function (test) {
+        test.expect(3);
+
+        createGren({
+            '/repos/u/r/commits': [
+                {
+                    sha: '1234567890abcdef',
+                    html_url: 'https://github.com/u/r/commit/1234567890abcdef',
+                    author: { login: 'alice' },
+                    commit: {
+                        author: { name: 'Alice', date: '2017-01-15T00:00:00Z' },
+                        message: 'feat(parser): add the arrays support\n\nThe parser handles the arrays.\n\nCo-authored-by: Bob <bob@example.com>'
+                    }
+                },
+                { sha: 'a', commit: { message: 'Release v1' } }
+            ]
+        }, {
+            dataSource: 'commits',
+            template: {
+                commit: '- {{header}} ([{{shortSha}}]({{url}}) by @{{authorLogin}}){{#each trailers}} {{key}}: {{value}}{{/each}}\n{{body}}'
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body, '- feat(parser): add the arrays support ([1234567](https://github.com/u/r/commit/1234567890abcdef) by @alice) Co-authored-by: Bob <bob@example.com>\nThe parser handles the arrays.\n', 'Given a custom template');
+
+                    gren.options.template.commit = '- {{header}}';
+
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body, '- feat(parser): add the arrays support\n', 'Given the header only');
+
+                    gren.options.template.commit = '- **{{scope}}**: {{subject}}';
+
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body, '- **parser**: add the arrays support\n', 'Given the Conventional Commits subject');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should render the issues with their author, assignees, milestone, comments and reactions': function (test) {
+        test.expect(1);
+
+        createGren({
+            '/repos/u/r/issues': [{
+                number: 1,
+                title: 'Support the arrays',
+                html_url: 'issues/1',
+                labels: [{ name: 'enhancement', color: 'a2eeef', description: 'New feature or request' }],
+                user: { login: 'alice' },
+                assignees: [{ login: 'bob' }, { login: 'carol' }],
+                milestone: { title: 'Release 2' },
+                comments: 4,
+                reactions: { total_count: 7, '+1': 7 },
+                closed_at: '2017-01-15T00:00:00Z'
+            }]
+        }, {
+            dateFormat: 'YYYY-MM-DD',
+            timeZone: 'UTC',
+            template: {
+                label: '[{{label}} #{{color}}: {{description}}]',
+                issue: function(placeholders) {
+                    return '- ' + placeholders.labels + ' ' + placeholders.name + ' by @' + placeholders.author + ', ' + placeholders.assignees.join('/') + ', ' + placeholders.milestone + ', ' + placeholders.closedAt + ', ' + placeholders.comments + ' comments, ' + placeholders.reactions + ' reactions';
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body, '- [enhancement #a2eeef: New feature or request] Support the arrays by @alice, bob/carol, Release 2, 2017-01-15, 4 comments, 7 reactions\n', 'Given a function template');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should add the contributors of each release, without the bots and the duplicates': function (test) {
+        test.expect(2);
+
+        var issue = function(number, user, association, assignees) {
+            return { number: number, title: 'Issue ' + number, html_url: 'issues/' + number, labels: [], user: user, author_association: association, assignees: assignees, closed_at: '2017-01-15T00:00:00Z' };
+        };
+        var alice = { login: 'alice', html_url: 'users/alice', avatar_url: 'avatars/alice.png' };
+
+        createGren({
+            '/repos/u/r/issues': [
+                issue(1, alice, 'FIRST_TIME_CONTRIBUTOR', [{ login: 'bob' }]),
+                issue(2, alice, 'CONTRIBUTOR', [alice, { login: 'bob' }]),
+                issue(3, { login: 'dependabot[bot]', type: 'Bot' }, 'NONE', []),
+                issue(4, { login: 'greenkeeper', type: 'User' }, 'NONE', [])
+            ]
+        }, {
+            contributors: true
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body.split('#### Contributors')[1], '\n\n- ![](avatars/alice.png) @alice **(first contribution)**\n- @bob\n', 'Given the first-time contributors, without the bots and the duplicates');
+
+                    gren.options.format = 'html';
+
+                    return gren.renderChangelog(blocks);
+                })
+                .then(function(content) {
+                    test.ok(content.indexOf('<img src="avatars/alice.png" alt="">') !== -1, 'Rendering the avatars in HTML');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should render the groups and their items in the JSON changelog': function (test) {
+        test.expect(2);
+
+        createGren({
+            '/repos/u/r/issues': [
+                { number: 1, title: 'Support the arrays', html_url: 'issues/1', labels: [{ name: 'enhancement' }], user: { login: 'alice' }, closed_at: '2017-01-15T00:00:00Z' },
+                { number: 2, title: 'Fix the parser', html_url: 'issues/2', labels: [{ name: 'bug' }], user: { login: 'bob' }, closed_at: '2017-01-16T00:00:00Z' }
+            ]
+        }, {
+            groupBy: 'label',
+            format: 'json'
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    return gren.renderChangelog(blocks);
+                })
+                .then(function(content) {
+                    var release = JSON.parse(content).releases[0];
+
+                    test.deepEqual([release.name, release.tag, release.date], ['v2', 'v2', '2017-02-01T00:00:00Z'], 'Given the release');
+                    test.deepEqual(release.groups, [
+                        { heading: 'bug', items: [{ number: 2, title: 'Fix the parser', url: 'issues/2', labels: ['bug'], author: 'bob' }] },
+                        { heading: 'enhancement', items: [{ number: 1, title: 'Support the arrays', url: 'issues/1', labels: ['enhancement'], author: 'alice' }] }
+                    ], 'Given the groups of the issues');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should only update the section of an existing release': function (test) {
+        test.expect(1);
+
+        var bodies = [];
+        var release = { id: 5, tag_name: 'v2', name: 'v2', body: 'Intro\n\n<!-- gren:start -->\n- Old\n<!-- gren:end -->\n\nUpgrade notes' };
+
+        createGren({
+            '/repos/u/r/releases': [release],
+            '/repos/u/r/releases/5': release,
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }, { sha: 'a', commit: { message: 'Release v1' } }]
+        }, {
+            dataSource: 'commits',
+            dryRun: true,
+            section: true,
+            plugins: [{
+                beforePublish: function(gren, releaseOptions) {
+                    bodies.push(releaseOptions.body);
+                }
+            }]
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.release();
+                })
+                .then(function() {
+                    test.deepEqual(bodies, ['Intro\n\n<!-- gren:start -->\n- Add the arrays support\n<!-- gren:end -->\n\nUpgrade notes'], 'Keeping the body outside the markers');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should create the next release as a draft on its target branch': function (test) {
+        test.expect(4);
+
+        var releases = [];
+        var head = { sha: 'c', commit: { committer: { date: '2017-03-01T00:00:00Z' } } };
+
+        createGren({
+            '/repos/u/r': { default_branch: 'main' },
+            '/repos/u/r/commits/main': head,
+            '/repos/u/r/commits/develop': head,
+            '/repos/u/r/commits': [{ commit: { message: 'Add the objects support' } }],
+            'POST /repos/u/r/releases': { id: 7, name: 'v3' }
+        }, {
+            dataSource: 'commits',
+            next: 'v3',
+            plugins: [{
+                beforePublish: function(gren, releaseOptions) {
+                    releases.push(releaseOptions);
+                }
+            }]
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.release();
+                })
+                .then(function() {
+                    test.deepEqual(releases[0], {
+                        tag_name: 'v3',
+                        name: 'v3',
+                        body: '- Add the objects support\n',
+                        draft: true,
+                        prerelease: false,
+                        target_commitish: 'main'
+                    }, 'Given the default branch');
+                    test.ok(requests.some(function(request) {
+                        return request.method === 'POST' && request.path === '/repos/u/r/releases';
+                    }), 'Creating the release');
+
+                    gren.options.target = 'develop';
+                    requests.length = 0;
+
+                    return gren.release();
+                })
+                .then(function() {
+                    test.deepEqual(releases[1].target_commitish, 'develop', 'Given a target branch');
+                    test.ok(!requests.some(function(request) {
+                        return request.path === '/repos/u/r';
+                    }), 'Without getting the default branch');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should suggest the next version without changing the options of the instance': function (test) {
+        test.expect(3);
+
+        var releases = [];
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v1.1.0', commit: { sha: 'b' } }, { name: 'v1.0.0', commit: { sha: 'a' } }],
+            '/repos/u/r': { default_branch: 'main' },
+            '/repos/u/r/commits/main': { sha: 'c', commit: { committer: { date: '2017-03-01T00:00:00Z' } } },
+            '/repos/u/r/commits': [{ commit: { message: 'feat: add the objects support' } }]
+        }, {
+            dataSource: 'commits',
+            dryRun: true,
+            plugins: [{
+                beforePublish: function(gren, releaseOptions) {
+                    releases.push(releaseOptions.tag_name);
+                }
+            }]
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.bump();
+                })
+                .then(function(result) {
+                    test.deepEqual([result.current, result.next], ['v1.1.0', 'v1.2.0'], 'Given the changes since the latest tag');
+                    test.deepEqual([gren.options.next, gren.options.tags], [false, []], 'Keeping the options of the instance');
+
+                    return gren.release();
+                })
+                .then(function() {
+                    test.deepEqual(releases, ['v1.1.0'], 'Given the latest tag for the next call');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should fail when the tag of the next release already exists': function (test) {
+        test.expect(1);
+
+        createGren({}, {
+            next: 'v2'
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.release();
+                })
+                .then(function() {
+                    test.ok(false, 'The release should not be created');
+                })
+                .catch(function(error) {
+                    test.ok(/The tag v2 already exists/.test(error), 'Failing with a clear error');
+                })
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should replace the unreleased section of the changelog in prepend mode': function (test) {
+        test.expect(1);
+
+        var filePath = path.join(os.tmpdir(), 'gren-unreleased-' + process.pid + '.md');
+        var oldReleases = '## v2 (01/02/2017)\n- Add the arrays support\n';
+
+        fs.writeFileSync(filePath, '# Changelog\n\n## Unreleased\n- Old change\n\n---\n\n' + oldReleases);
+
+        createGren({
+            '/repos/u/r': { default_branch: 'main' },
+            '/repos/u/r/commits/main': { sha: 'c', commit: { committer: { date: '2017-03-01T00:00:00Z' } } },
+            '/repos/u/r/commits': [{ commit: { message: 'Add the objects support' } }]
+        }, {
+            dataSource: 'commits',
+            generate: true,
+            mode: 'prepend',
+            next: true,
+            changelogFilename: path.relative(process.cwd(), filePath)
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    return gren.renderChangelog(blocks);
+                })
+                .then(function(content) {
+                    test.deepEqual(content, '# Changelog\n\n## Unreleased\n- Add the objects support\n\n---\n\n' + oldReleases, 'Given the previous unreleased section');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    fs.unlinkSync(filePath);
+                    close(test.done);
+                });
+        });
+    },
+    'Should generate the blocks from the milestones matching the tags': function (test) {
+        test.expect(3);
+
+        var warnings = [];
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v3', commit: { sha: 'c' } }, { name: 'v2', commit: { sha: 'b' } }, { name: 'v1', commit: { sha: 'a' } }],
+            '/repos/u/r/git/commits/c': { committer: { date: '2017-03-01T00:00:00Z' } },
+            '/repos/u/r/milestones': [
+                { number: 2, title: 'Release v2', description: 'The arrays release', html_url: 'milestones/2' },
+                { number: 4, title: 'Backlog', description: 'Some day' }
+            ],
+            '/repos/u/r/issues': [{ number: 1, title: 'Support the arrays', html_url: 'issues/1', labels: [], closed_at: '2016-12-15T00:00:00Z' }]
+        }, {
+            dataSource: 'milestones',
+            tags: 'all',
+            logger: {
+                warn: function(message) {
+                    warnings.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks.map(function(block) {
+                        return block.release;
+                    }), ['v3', 'v2'], 'Given a block per range of tags');
+                    test.deepEqual(blocks[1].body, 'The arrays release\n\n- [**closed**] Support the arrays [#1](issues/1)\n', 'Given the issues of the milestone, whatever their close date');
+                    test.ok(/No milestone "Release v3" found for v3/.test(warnings.join('\n')), 'Warning about the missing milestone');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should print the releases without sending them in dry run': function (test) {
+        test.expect(3);
+
+        var messages = [];
+        var release = { id: 5, tag_name: 'v2', name: 'v2', body: '- Old notes' };
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v3', commit: { sha: 'c' } }, { name: 'v2', commit: { sha: 'b' } }, { name: 'v1', commit: { sha: 'a' } }],
+            '/repos/u/r/git/commits/c': { committer: { date: '2017-03-01T00:00:00Z' } },
+            '/repos/u/r/releases': [release],
+            '/repos/u/r/releases/5': release,
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }]
+        }, {
+            dataSource: 'commits',
+            tags: 'all',
+            override: true,
+            dryRun: true,
+            logger: {
+                log: function(message) {
+                    messages.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.release();
+                })
+                .then(function() {
+                    test.ok(messages.join('\n').indexOf('[dry run] Create release v3') !== -1, 'Printing the new release');
+                    test.ok(messages.join('\n').indexOf('[dry run] Update release v2') !== -1, 'Printing the updated release');
+                    test.deepEqual(requests.filter(function(request) {
+                        return request.method !== 'GET';
+                    }), [], 'Without sending any release');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should print the changelog without writing it in dry run': function (test) {
+        test.expect(2);
+
+        var messages = [];
+        var filePath = path.join(os.tmpdir(), 'gren-dry-run-' + process.pid + '.md');
+
+        fs.writeFileSync(filePath, '# Changelog\n\n## v1 (01/01/2017)\n- Old notes\n');
+
+        createGren({
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }]
+        }, {
+            dataSource: 'commits',
+            generate: true,
+            override: true,
+            dryRun: true,
+            changelogFilename: path.relative(process.cwd(), filePath),
+            logger: {
+                log: function(message) {
+                    messages.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.changelog();
+                })
+                .then(function() {
+                    test.ok(messages.join('\n').indexOf('[dry run] Update') !== -1, 'Printing the changelog');
+                    test.deepEqual(fs.readFileSync(filePath, 'utf8'), '# Changelog\n\n## v1 (01/01/2017)\n- Old notes\n', 'Without writing the file');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    fs.unlinkSync(filePath);
+                    close(test.done);
+                });
+        });
+    },
+    'Should filter the issues by label, author, milestone and title': function (test) {
+        test.expect(2);
+
+        var issue = function(number, labels, login, milestone, title) {
+            return {
+                number: number,
+                title: title || 'Issue ' + number,
+                labels: labels.map(function(name) {
+                    return { name: name };
+                }),
+                user: { login: login },
+                milestone: milestone ? { title: milestone } : null,
+                closed_at: '2017-01-15T00:00:00Z'
+            };
+        };
+
+        createGren({
+            '/repos/u/r/issues': [
+                issue(1, ['bug', 'ui'], 'alice', 'Release 2'),
+                issue(2, ['bug'], 'alice', 'Release 2'),
+                issue(3, ['bug', 'ui'], 'dependabot[bot]', 'Release 2'),
+                issue(4, ['bug', 'ui'], 'alice', 'Backlog'),
+                issue(5, ['bug', 'ui'], 'alice', 'Release 2', '[WIP] Issue 5'),
+                issue(6, ['bug', 'ui', 'wontfix'], 'alice', 'Release 2')
+            ]
+        }, {
+            ignoreIssuesWith: 'wontfix',
+            onlyIssuesWith: 'bug,ui',
+            onlyIssuesMatch: 'all',
+            ignoreIssuesFrom: '*[bot]',
+            onlyMilestones: 'Release_*',
+            ignoreTitlePattern: '/^\\[WIP\\]/'
+        }, function(gren, requests, close) {
+            var numbers = function(blocks) {
+                return blocks[0].groups[0].items.map(function(item) {
+                    return item.number;
+                });
+            };
+
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(numbers(blocks), [1], 'Given all the filters');
+
+                    gren = new GithubReleaseNotes(Object.assign({}, gren.options, { logger: false, onlyIssuesMatch: 'any', onlyMilestones: false, ignoreMilestones: 'Backlog' }));
+
+                    return gren.init().then(function() {
+                        return gren.generateBlocks();
+                    });
+                })
+                .then(function(blocks) {
+                    test.deepEqual(numbers(blocks), [1, 2], 'Given any of the labels and an ignored milestone');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should attribute the issues to the releases with the commits referencing them': function (test) {
+        test.expect(3);
+
+        var warnings = [];
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v3', commit: { sha: 'c' } }, { name: 'v2', commit: { sha: 'b' } }, { name: 'v1', commit: { sha: 'a' } }],
+            '/repos/u/r/git/commits/c': { committer: { date: '2017-03-01T00:00:00Z' } },
+            '/repos/u/r/commits': [{ sha: 's1', commit: { message: 'Merge pull request #20 from user/branch' } }],
+            '/repos/u/r/pulls': [{ number: 20, body: 'Fixes #1', merged_at: '2017-02-20T00:00:00Z' }],
+            '/repos/u/r/issues': [
+                { number: 1, title: 'Closed late', labels: [], closed_at: '2017-03-15T00:00:00Z' },
+                { number: 2, title: 'Closed by hand', labels: [], closed_at: '2017-02-10T00:00:00Z' }
+            ]
+        }, {
+            tags: 'v3,v2',
+            attribution: 'commits',
+            logger: {
+                warn: function(message) {
+                    warnings.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].release, 'v3', 'Given the range of the last tag');
+                    test.deepEqual(blocks[0].groups[0].items.map(function(item) {
+                        return item.number;
+                    }), [1, 2], 'Given an issue closed by a merged pull request and one matched by its date');
+                    test.ok(/#2 is not referenced by any commit/.test(warnings.join('\n')), 'Warning about the date-only match');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should attribute the issues to the releases of a maintenance branch': function (test) {
+        test.expect(3);
+
+        var warnings = [];
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v1.0.1', commit: { sha: 'b' } }, { name: 'v1.0.0', commit: { sha: 'a' } }],
+            '/repos/u/r/commits': function(query) {
+                return query.sha === 'v1.0.1' ? [{ sha: 's1', commit: { message: 'Fix the parser, fixes #1' } }] : [];
+            },
+            '/repos/u/r/pulls': [],
+            '/repos/u/r/issues': [{ number: 1, title: 'Fix the parser', labels: [], closed_at: '2017-03-15T00:00:00Z' }]
+        }, {
+            attribution: 'commits',
+            logger: {
+                warn: function(message) {
+                    warnings.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].groups[0].items.map(function(item) {
+                        return item.number;
+                    }), [1], 'Given an issue fixed by a commit of the tag');
+                    test.ok(requests.some(function(request) {
+                        return request.path === '/repos/u/r/commits' && request.query.sha === 'v1.0.1';
+                    }), 'Getting the commits of the tag');
+                    test.deepEqual(warnings.filter(function(warning) {
+                        return /is not referenced by any commit/.test(warning);
+                    }), [], 'Without falling back to the date');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should use the pull requests merged in the range, skipping the ones closed without merging': function (test) {
+        test.expect(1);
+
+        var pullRequest = function(number, mergedAt) {
+            return { number: number, title: 'PR ' + number, labels: [], user: { login: 'alice' }, base: { ref: 'master' }, merged_at: mergedAt, updated_at: '2017-01-20T00:00:00Z' };
+        };
+
+        createGren({
+            '/repos/u/r/pulls': [pullRequest(3, '2017-01-15T00:00:00Z'), pullRequest(2, null), pullRequest(1, '2016-12-15T00:00:00Z')]
+        }, {
+            dataSource: 'prs'
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].groups[0].items.map(function(item) {
+                        return item.number;
+                    }), [3], 'Given a pull request closed without merging and one merged before the range');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should generate the blocks of a package from the commits of its directory': function (test) {
+        test.expect(1);
+
+        var commit = function(sha, message, date) {
+            return { sha: sha, commit: { message: message, committer: { date: date } } };
+        };
+
+        createGren({
+            '/repos/u/r/tags': [
+                { name: '@s/core@1.1.0', commit: { sha: 'b' } },
+                { name: '@s/ui@2.0.0', commit: { sha: 'c' } },
+                { name: '@s/core@1.0.0', commit: { sha: 'a' } }
+            ],
+            '/repos/u/r/commits': [
+                commit('s2', 'core: second change', '2017-01-20T00:00:00Z'),
+                commit('s1', 'core: first change', '2017-01-10T00:00:00Z')
+            ]
+        }, {
+            dataSource: 'commits',
+            packages: [{ name: '@s/core', directory: 'packages/core' }]
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.forPackage('@s/core').generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks[0].body, '- core: second change\n- core: first change\n', 'Keeping all the commits when the tag commit is not in the directory');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should generate the blocks of a package from its tags and its pull requests': function (test) {
+        test.expect(4);
+
+        var pullRequest = function(number) {
+            return { number: number, title: 'PR ' + number, labels: [], user: { login: 'alice' }, base: { ref: 'master' }, merged_at: '2017-01-15T00:00:00Z' };
+        };
+
+        createGren({
+            '/repos/u/r/tags': [
+                { name: '@s/ui@2.0.0', commit: { sha: 'c' } },
+                { name: '@s/core@1.1.0', commit: { sha: 'b' } },
+                { name: '@s/core@1.0.0', commit: { sha: 'a' } }
+            ],
+            '/repos/u/r/pulls': [pullRequest(1), pullRequest(2)],
+            '/repos/u/r/pulls/1/files': [{ filename: 'packages/core/index.js' }],
+            '/repos/u/r/pulls/2/files': [{ filename: 'packages/core-utils/index.js' }]
+        }, {
+            dataSource: 'prs',
+            packages: [{ name: '@s/core', directory: './packages/core/' }, { name: '@s/ui', directory: 'packages/ui' }]
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    var core = gren.forPackage('@s/core');
+
+                    test.deepEqual(core.options.changelogFilename, 'packages/core/CHANGELOG.md', 'Given the directory of the package');
+
+                    return core.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.deepEqual(blocks.length, 1, 'Given only the tags of the package');
+                    test.deepEqual(blocks[0].release, '@s/core@1.1.0', 'Given the last tag of the package');
+                    test.deepEqual(blocks[0].groups[0].items.map(function(item) {
+                        return item.number;
+                    }), [1], 'Given the pull requests changing the directory of the package');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should prepend the releases generated back to the newest one in the changelog': function (test) {
+        test.expect(5);
+
+        var messages = [];
+        var filePath = path.join(os.tmpdir(), 'gren-prepend-' + process.pid + '.md');
+        var oldReleases = '## v1 (01/01/2017)\n- Edited by hand  \n\n\nKeep these lines untouched\n';
+
+        fs.writeFileSync(filePath, '# Changelog\n\n' + oldReleases);
+
+        createGren({
+            '/repos/u/r/tags': [{ name: 'v3', commit: { sha: 'c' } }, { name: 'v2', commit: { sha: 'b' } }, { name: 'v1', commit: { sha: 'a' } }],
+            '/repos/u/r/git/commits/c': { committer: { date: '2017-03-01T00:00:00Z' } },
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }]
+        }, {
+            dataSource: 'commits',
+            generate: true,
+            mode: 'prepend',
+            changelogFilename: path.relative(process.cwd(), filePath),
+            logger: {
+                log: function(message) {
+                    messages.push(message);
+                },
+                warn: function(message) {
+                    messages.push(message);
+                }
+            }
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function(blocks) {
+                    test.ok(messages.indexOf('Tags found: v3, v2, v1') !== -1, 'Given the tags back to the newest release in the file');
+
+                    return gren.renderChangelog(blocks);
+                })
+                .then(function(content) {
+                    test.ok(content.indexOf('# Changelog\n\n## v3') === 0, 'Prepending the newest release');
+                    test.ok(content.indexOf('## v2') !== -1, 'Prepending the releases in between');
+                    test.deepEqual(content.slice(-oldReleases.length), oldReleases, 'Keeping the content of the file byte-for-byte');
+                    test.deepEqual(messages.filter(function(message) {
+                        return /None of the releases has been found/.test(message);
+                    }), [], 'Without warning about the missing releases');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    fs.unlinkSync(filePath);
+                    close(test.done);
+                });
+        });
+    },
+    'Should prepend the releases after the title and the intro of the changelog': function (test) {
+        test.expect(2);
+
+        var filePath = path.join(os.tmpdir(), 'gren-prepend-intro-' + process.pid + '.md');
+        var oldReleases = '## v1 (01/01/2017)\n- Old notes\n';
+
+        createGren({
+            '/repos/u/r/commits': [{ commit: { message: 'Add the arrays support' } }]
+        }, {
+            dataSource: 'commits',
+            dateFormat: 'YYYY-MM-DD',
+            timeZone: 'UTC',
+            mode: 'prepend',
+            changelogFilename: path.relative(process.cwd(), filePath)
+        }, function(gren, requests, close) {
+            var newRelease = '## v2 (2017-02-01)\n- Add the arrays support\n\n---\n\n';
+            var render = function(content) {
+                fs.writeFileSync(filePath, content);
+
+                return gren.generateBlocks()
+                    .then(function(blocks) {
+                        return gren.renderChangelog(blocks);
+                    });
+            };
+
+            gren.init()
+                .then(function() {
+                    return render('# Change Log\n\nThe notable changes.\n\n' + oldReleases);
+                })
+                .then(function(content) {
+                    test.deepEqual(content, '# Change Log\n\nThe notable changes.\n\n' + newRelease + oldReleases, 'Given a different title');
+
+                    return render('# Changelog\n\nThe notable changes.\n\n' + oldReleases);
+                })
+                .then(function(content) {
+                    test.deepEqual(content, '# Changelog\n\nThe notable changes.\n\n' + newRelease + oldReleases, 'Given the title and an intro');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    fs.unlinkSync(filePath);
+                    close(test.done);
+                });
+        });
+    },
+    'Should fail when none of the tags is in the changelog in prepend mode': function (test) {
+        test.expect(1);
+
+        var filePath = path.join(os.tmpdir(), 'gren-prepend-missing-' + process.pid + '.md');
+
+        fs.writeFileSync(filePath, '# Changelog\n\n## v0 (01/01/2016)\n- Old release\n');
+
+        createGren({}, {
+            generate: true,
+            mode: 'prepend',
+            changelogFilename: path.relative(process.cwd(), filePath)
+        }, function(gren, requests, close) {
+            gren.init()
+                .then(function() {
+                    return gren.generateBlocks();
+                })
+                .then(function() {
+                    test.ok(false, 'The blocks should not be generated');
+                })
+                .catch(function(error) {
+                    test.ok(/None of the tags has been found/.test(error), 'Failing with a clear error');
+                })
+                .then(function() {
+                    fs.unlinkSync(filePath);
+                    close(test.done);
+                });
+        });
+    }
+};
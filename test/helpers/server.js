@@ -0,0 +1,67 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+/**
+ * Answer a request with the data of its route. The routes are keyed by
+ * `METHOD /path`, or by `/path` for any method, and return the response data,
+ * `{ headers, data }`, or a function of the query and the request returning them
+ */
+function answer(routes, request, response, parsedUrl) {
+    var route = routes[request.method + ' ' + parsedUrl.pathname] || routes[parsedUrl.pathname];
+    var result = typeof route === 'function' ? route(parsedUrl.query, request) : route;
+
+    if (!result) {
+        response.writeHead(404, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ message: 'Not Found' }));
+
+        return;
+    }
+
+    response.writeHead(200, Object.assign({ 'Content-Type': 'application/json' }, result.headers));
+    response.end(JSON.stringify(result.headers ? result.data : result));
+}
+
+/**
+ * Start a local stand-in of the provider API, recording the requests.
+ * It answers with the data of the routes, or with a handler of the
+ * requests and responses
+ */
+function createServer(routes, callback) {
+    var requests = [];
+    var server = http.createServer(function(request, response) {
+        var body = '';
+
+        request.on('data', function(chunk) {
+            body += chunk;
+        });
+        request.on('end', function() {
+            var parsedUrl = url.parse(request.url, true);
+
+            requests.push({
+                method: request.method,
+                path: parsedUrl.pathname,
+                query: parsedUrl.query,
+                headers: request.headers,
+                body: body ? JSON.parse(body) : null
+            });
+
+            if (typeof routes === 'function') {
+                routes(request, response);
+
+                return;
+            }
+
+            answer(routes, request, response, parsedUrl);
+        });
+    });
+
+    server.listen(0, function() {
+        callback('http://localhost:' + server.address().port, requests, server.close.bind(server));
+    });
+}
+
+module.exports = {
+    createServer: createServer
+};
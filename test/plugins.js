@@ -0,0 +1,67 @@
+'use strict';
+
+var plugins = require('../src/plugins');
+
+exports['plugins'] = {
+    'Should load the plugins': function (test) {
+        test.expect(3);
+
+        var plugin = { transformBlock: function() {} };
+
+        test.deepEqual(plugins.load(), [], 'Given no plugins');
+        test.deepEqual(plugins.load(plugin), [plugin], 'Given a plugin object');
+        test.throws(function() {
+            plugins.load([function() {}]);
+        }, 'Given a plugin which is not an object');
+        test.done();
+    },
+    'Should run the hooks of the plugins in sequence': function (test) {
+        test.expect(4);
+
+        var gren = {
+            plugins: [
+                {
+                    transformIssue: function(gren, issue) {
+                        return Promise.resolve(Object.assign({}, issue, { title: issue.title + '!' }));
+                    }
+                },
+                {
+                    filterIssue: function(gren, issue) {
+                        return issue.number !== 2;
+                    },
+                    transformIssue: function(gren, issue) {
+                        issue.title = issue.title.toUpperCase();
+                    }
+                }
+            ]
+        };
+
+        plugins.filter(gren, 'filterIssue', [{ number: 1, title: 'a' }, { number: 2, title: 'b' }])
+            .then(function(issues) {
+                test.deepEqual(issues, [{ number: 1, title: 'a' }], 'Given a filter');
+
+                return plugins.map(gren, 'transformIssue', issues);
+            })
+            .then(function(issues) {
+                test.deepEqual(issues, [{ number: 1, title: 'A!' }], 'Given an async transform and one returning nothing');
+
+                return plugins.run(gren, 'beforeRender', ['v1']);
+            })
+            .then(function(releases) {
+                test.deepEqual(releases, ['v1'], 'Given a hook without plugins');
+
+                gren.plugins.push({
+                    filterIssue: function(gren, issue) {
+                        issue.seen = true;
+                    }
+                });
+
+                return plugins.filter(gren, 'filterIssue', [{ number: 1 }, { number: 2 }]);
+            })
+            .then(function(issues) {
+                test.deepEqual(issues, [{ number: 1, seen: true }], 'Given a filter returning nothing');
+            })
+            .catch(test.ifError)
+            .then(test.done);
+    }
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+var providers = require('../src/providers');
+var createServer = require('./helpers/server').createServer;
+
+exports['providers'] = {
+    'Should detect the provider from the host': function (test) {
+        test.expect(5);
+
+        test.deepEqual(providers.detect('github.com'), 'github', 'Given GitHub');
+        test.deepEqual(providers.detect('gitlab.example.com'), 'gitlab', 'Given a self-hosted GitLab');
+        test.deepEqual(providers.detect('https://gitea.example.com/api/v1'), 'gitea', 'Given the API URL of a Gitea instance');
+        test.deepEqual(providers.detect('git.example.com'), 'github', 'Given an unknown host');
+        test.deepEqual(providers.detect(), 'github', 'Given no host');
+        test.done();
+    },
+    'Should create the provider from the options': function (test) {
+        test.expect(4);
+
+        test.deepEqual(providers.create({ username: 'u', repo: 'r' }).repoUrl, 'https://github.com/u/r', 'Given no provider');
+        test.deepEqual(providers.create({ provider: 'gitlab', host: 'gitlab.example.com', username: 'group/sub', repo: 'r' }).client.baseUrl, 'https://gitlab.example.com/api/v4', 'Given a self-hosted GitLab');
+        test.deepEqual(providers.create({ provider: 'gitea', host: 'gitea.example.com', username: 'u', repo: 'r' }).repoUrl, 'https://gitea.example.com/u/r', 'Given a Gitea host');
+        test.throws(function() {
+            providers.create({ provider: 'svn', username: 'u', repo: 'r' });
+        }, 'Given an unsupported provider');
+        test.done();
+    },
+    'Should list all the pages of GitHub and skip the pull requests': function (test) {
+        test.expect(5);
+
+        createServer({
+            'GET /repos/u/r/issues': function(query, request) {
+                return query.page === '2' ? [{ number: 3, title: 'Third' }] : {
+                    headers: { Link: '<http://' + request.headers.host + '/repos/u/r/issues?page=2>; rel="next"' },
+                    data: [{ number: 1, title: 'First' }, { number: 2, title: 'PR', pull_request: {} }]
+                };
+            }
+        }, function(apiUrl, requests, close) {
+            var provider = providers.create({ provider: 'github', apiUrl: apiUrl, username: 'u', repo: 'r', token: 'abc' });
+
+            provider.getClosedIssues({ since: '2017-01-01T00:00:00Z', milestone: { number: 4 } })
+                .then(function(issues) {
+                    test.deepEqual(issues.map(function(issue) {
+                        return issue.number;
+                    }), [1, 3], 'Given two pages with a pull request');
+                    test.deepEqual(requests.length, 2, 'Following the Link header');
+                    test.deepEqual(requests[0].query, { state: 'closed', since: '2017-01-01T00:00:00Z', milestone: '4', per_page: '100' }, 'With the query of the first page');
+                    test.deepEqual(requests[0].headers.authorization, 'token abc', 'With the token');
+                    test.deepEqual(requests[1].query, { page: '2' }, 'With the query of the next page');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should stop paging the GitHub pull requests updated before the date': function (test) {
+        test.expect(2);
+
+        createServer({
+            'GET /repos/u/r/pulls': function(query, request) {
+                return {
+                    headers: { Link: '<http://' + request.headers.host + '/repos/u/r/pulls?page=' + (parseInt(query.page || 1, 10) + 1) + '>; rel="next"' },
+                    data: [
+                        { number: 3, merged_at: '2017-02-01T00:00:00Z', updated_at: '2017-02-01T00:00:00Z' },
+                        { number: 2, merged_at: null, updated_at: '2017-01-20T00:00:00Z' },
+                        { number: 1, merged_at: '2016-12-01T00:00:00Z', updated_at: '2016-12-01T00:00:00Z' }
+                    ]
+                };
+            }
+        }, function(apiUrl, requests, close) {
+            var provider = providers.create({ provider: 'github', apiUrl: apiUrl, username: 'u', repo: 'r', token: 'abc' });
+
+            provider.getMergedPullRequests('2017-01-01T00:00:00Z')
+                .then(function(pullRequests) {
+                    test.deepEqual(pullRequests.map(function(pullRequest) {
+                        return pullRequest.number;
+                    }), [3, 1], 'Given the merged pull requests');
+                    test.deepEqual(requests.length, 1, 'Without the pages after an old pull request');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should convert the GitLab responses': function (test) {
+        test.expect(7);
+
+        createServer({
+            'GET /api/v4/projects/group%2Fsub%2Fr/repository/tags': [{ name: 'v1', commit: { id: 'a1', committed_date: '2017-01-01T00:00:00Z' } }],
+            'GET /api/v4/projects/group%2Fsub%2Fr/merge_requests': [{
+                iid: 7,
+                title: 'Add feature',
+                web_url: 'mr/7',
+                labels: ['feature'],
+                author: { username: 'alice' },
+                merged_at: '2017-01-02T00:00:00Z',
+                merge_commit_sha: 'm7',
+                target_branch: 'main',
+                upvotes: 3,
+                downvotes: 1
+            }],
+            'POST /api/v4/projects/group%2Fsub%2Fr/releases': { tag_name: 'v1', name: 'v1', description: 'Notes', released_at: '2017-01-03T00:00:00Z' }
+        }, function(apiUrl, requests, close) {
+            var provider = providers.create({ provider: 'gitlab', apiUrl: apiUrl + '/api/v4', username: 'group/sub', repo: 'r', token: 'abc' });
+
+            Promise.all([
+                provider.getTags(),
+                provider.getMergedPullRequests(),
+                provider.createRelease({ tag_name: 'v1', name: 'v1', body: 'Notes', target_commitish: 'main', draft: false })
+            ])
+            .then(function(results) {
+                var releaseRequest = requests.filter(function(request) {
+                    return request.method === 'POST';
+                })[0];
+
+                test.deepEqual(results[0], [{ name: 'v1', commit: { sha: 'a1', date: '2017-01-01T00:00:00Z' } }], 'Given the tags');
+                test.deepEqual(results[1][0].labels, [{ name: 'feature' }], 'Given the labels of a merge request');
+                test.deepEqual([results[1][0].number, results[1][0].user.login, results[1][0].base.ref], [7, 'alice', 'main'], 'Given a merge request');
+                test.deepEqual(results[1][0].reactions, { total_count: 4, '+1': 3, '-1': 1 }, 'Given the votes of a merge request');
+                test.deepEqual(results[2].id, 'v1', 'Given the created release');
+                test.deepEqual(releaseRequest.body, { tag_name: 'v1', name: 'v1', description: 'Notes', ref: 'main' }, 'Sending the release as GitLab expects it');
+                test.deepEqual(releaseRequest.headers['private-token'], 'abc', 'With the token');
+            })
+            .catch(test.ifError)
+            .then(function() {
+                close(test.done);
+            });
+        });
+    },
+    'Should convert the Gitea responses': function (test) {
+        test.expect(4);
+
+        createServer({
+            'GET /api/v1/repos/u/r/milestones': [{ id: 3, title: 'Release v1', description: 'First' }],
+            'GET /api/v1/repos/u/r/issues': [{ number: 1, title: 'Bug', labels: [] }]
+        }, function(apiUrl, requests, close) {
+            var provider = providers.create({ provider: 'gitea', apiUrl: apiUrl + '/api/v1', username: 'u', repo: 'r' });
+
+            provider.getMilestones()
+                .then(function(milestones) {
+                    test.deepEqual([milestones[0].number, milestones[0].html_url], [3, apiUrl + '/u/r/milestone/3'], 'Given a milestone');
+                    test.deepEqual(requests[0].query.limit, '50', 'With the page size of Gitea');
+
+                    return provider.getClosedIssues({ milestone: milestones[0] });
+                })
+                .then(function(issues) {
+                    test.deepEqual(issues.length, 1, 'Given the issues of a milestone');
+                    test.deepEqual(requests[1].query, { state: 'closed', type: 'issues', milestones: 'Release v1', limit: '50' }, 'Filtering the milestone by title');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    }
+};
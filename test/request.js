@@ -0,0 +1,218 @@
+'use strict';
+
+var os = require('os');
+var path = require('path');
+var fs = require('fs');
+var Client = require('../src/request').Client;
+var Cache = require('../src/cache');
+var createServer = require('./helpers/server').createServer;
+
+exports['request'] = {
+    'Should retry the server errors and read the rate limit': function (test) {
+        test.expect(3);
+
+        var count = 0;
+
+        createServer(function(request, response) {
+            count++;
+
+            if (count < 3) {
+                response.writeHead(count === 1 ? 502 : 403, count === 1 ? {} : { 'Retry-After': '0' });
+                response.end(JSON.stringify({ message: 'You have exceeded a secondary rate limit' }));
+
+                return;
+            }
+
+            response.writeHead(200, { 'X-RateLimit-Limit': '5000', 'X-RateLimit-Remaining': '4998', 'X-RateLimit-Reset': '1500000000' });
+            response.end(JSON.stringify({ ok: true }));
+        }, function(baseUrl, requests, close) {
+            var client = new Client({ baseUrl: baseUrl, retryDelay: 1 });
+
+            client.request('GET', '/tags')
+                .then(function(response) {
+                    test.deepEqual(response.data, { ok: true }, 'Given a successful third attempt');
+                    test.deepEqual(count, 3, 'After a server error and a secondary rate limit');
+                    test.deepEqual(client.rateLimit, { limit: 5000, remaining: 4998, reset: 1500000000000 }, 'Given the rate limit headers');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should not retry the client errors': function (test) {
+        test.expect(2);
+
+        var count = 0;
+
+        createServer(function(request, response) {
+            count++;
+            response.writeHead(404);
+            response.end(JSON.stringify({ message: 'Not Found' }));
+        }, function(baseUrl, requests, close) {
+            var client = new Client({ baseUrl: baseUrl, retryDelay: 1 });
+
+            client.request('GET', '/missing')
+                .catch(function(error) {
+                    test.deepEqual(error.status, 404, 'Given a 404 response');
+                    test.deepEqual(count, 1, 'Without retrying');
+                })
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should only retry the writes after a rate limit response': function (test) {
+        test.expect(4);
+
+        var statuses = [502, 429, 201];
+        var count = 0;
+
+        createServer(function(request, response) {
+            var status = statuses[count++];
+
+            response.writeHead(status, status === 429 ? { 'Retry-After': '0' } : {});
+            response.end(JSON.stringify(status === 201 ? { id: 1 } : { message: 'Failed' }));
+        }, function(baseUrl, requests, close) {
+            var client = new Client({ baseUrl: baseUrl, retryDelay: 1, logger: { warn: function() {} } });
+
+            client.request('POST', '/releases', null, { tag_name: 'v1' })
+                .then(function() {
+                    test.ok(false, 'Given a server error');
+                }, function(error) {
+                    test.deepEqual(error.status, 502, 'Given a server error');
+                    test.deepEqual(count, 1, 'Without sending the release again');
+
+                    return client.request('POST', '/releases', null, { tag_name: 'v1' });
+                })
+                .then(function(response) {
+                    test.deepEqual(response.data, { id: 1 }, 'Given a rate limit response');
+                    test.deepEqual(count, 3, 'Sending the release again');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should cap the concurrent requests': function (test) {
+        test.expect(2);
+
+        var active = 0;
+        var maxActive = 0;
+
+        createServer(function(request, response) {
+            active++;
+            maxActive = Math.max(active, maxActive);
+
+            setTimeout(function() {
+                active--;
+                response.writeHead(200);
+                response.end('{}');
+            }, 10);
+        }, function(baseUrl, requests, close) {
+            var client = new Client({ baseUrl: baseUrl, concurrency: 2 });
+            var requests = [1, 2, 3, 4, 5].map(function(id) {
+                return client.request('GET', '/commits/' + id);
+            });
+
+            Promise.all(requests)
+                .then(function(responses) {
+                    test.deepEqual(responses.length, 5, 'Given five requests');
+                    test.deepEqual(maxActive, 2, 'Sending two of them at a time');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should revalidate the cached responses with the ETag': function (test) {
+        test.expect(5);
+
+        var conditionalHeaders = [];
+        var cache = new Cache(path.join(os.tmpdir(), 'gren-cache-test-' + process.pid));
+
+        createServer(function(request, response) {
+            conditionalHeaders.push(request.headers['if-none-match']);
+
+            if (request.headers['if-none-match'] === '"v1"') {
+                response.writeHead(304);
+                response.end();
+
+                return;
+            }
+
+            response.writeHead(200, { ETag: '"v1"' });
+            response.end(JSON.stringify([{ name: 'v1.0.0' }]));
+        }, function(baseUrl, requests, close) {
+            var client = new Client({ baseUrl: baseUrl, cache: cache });
+
+            client.requestAllPages('/tags')
+                .then(function() {
+                    return client.requestAllPages('/tags');
+                })
+                .then(function(tags) {
+                    test.deepEqual(tags, [{ name: 'v1.0.0' }], 'Given a not modified response');
+                    test.deepEqual(conditionalHeaders, [undefined, '"v1"'], 'Sending the cached ETag');
+
+                    return client.requestImmutable('/git/commits/abc');
+                })
+                .then(function() {
+                    return client.requestImmutable('/git/commits/abc');
+                })
+                .then(function(response) {
+                    test.deepEqual(response.data, [{ name: 'v1.0.0' }], 'Given an immutable resource');
+                    test.deepEqual(conditionalHeaders.length, 3, 'Requesting the immutable resource once');
+
+                    cache.clear();
+                    test.deepEqual(fs.existsSync(cache.directory), false, 'Clearing the cache');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    close(test.done);
+                });
+        });
+    },
+    'Should create the cache directory with its parents, and warn when it cannot be written': function (test) {
+        test.expect(4);
+
+        var root = path.join(os.tmpdir(), 'gren-cache-test-nested-' + process.pid);
+        var file = path.join(os.tmpdir(), 'gren-cache-test-file-' + process.pid);
+        var warnings = [];
+
+        fs.writeFileSync(file, '');
+
+        createServer(function(request, response) {
+            response.writeHead(200, { ETag: '"v1"' });
+            response.end(JSON.stringify([{ name: 'v1.0.0' }]));
+        }, function(baseUrl, requests, close) {
+            var cache = new Cache(path.join(root, 'gren'));
+            var logger = {
+                warn: function(message) {
+                    warnings.push(message);
+                }
+            };
+
+            new Client({ baseUrl: baseUrl, cache: cache }).request('GET', '/tags')
+                .then(function() {
+                    test.deepEqual(fs.readdirSync(cache.directory).length, 1, 'Given a nested directory');
+
+                    cache.clear();
+                    fs.rmdirSync(root);
+
+                    return new Client({ baseUrl: baseUrl, cache: new Cache(path.join(file, 'gren')), logger: logger }).request('GET', '/tags');
+                })
+                .then(function(response) {
+                    test.deepEqual(response.data, [{ name: 'v1.0.0' }], 'Given a directory which cannot be created');
+                    test.deepEqual(warnings.length, 1, 'Warning once');
+                    test.ok(/could not be cached/.test(warnings[0]), 'Warning about the cache');
+                })
+                .catch(test.ifError)
+                .then(function() {
+                    fs.unlinkSync(file);
+                    close(test.done);
+                });
+        });
+    }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+var template = require('../src/template');
+
+exports['template'] = {
+    'Should replace the placeholders': function (test) {
+        test.expect(3);
+
+        test.deepEqual(template.generate({ name: 'Fix $& bug', url: 'url' }, '- [{{name}}]({{url}})'), '- [Fix $& bug](url)', 'Given a string with placeholders');
+        test.deepEqual(template.generate({ name: 'Fix' }, '- {{name}} {{missing}}'), '- Fix {{missing}}', 'Given a string with a missing placeholder');
+        test.deepEqual(template.generate({ name: 'Fix' }, function(placeholders) {
+            return placeholders.name.toUpperCase();
+        }), 'FIX', 'Given a function');
+        test.done();
+    },
+    'Should render the conditionals': function (test) {
+        test.expect(3);
+
+        var string = '{{name}}{{#if labels}} ({{labels}}){{else}} (no labels){{/if}}';
+
+        test.deepEqual(template.generate({ name: 'Fix', labels: 'bug' }, string), 'Fix (bug)', 'Given a truthy value');
+        test.deepEqual(template.generate({ name: 'Fix', labels: '' }, string), 'Fix (no labels)', 'Given a falsy value');
+        test.deepEqual(template.generate({ name: 'Fix', labels: [] }, string), 'Fix (no labels)', 'Given an empty array');
+        test.done();
+    },
+    'Should render the loops': function (test) {
+        test.expect(2);
+
+        test.deepEqual(template.generate({
+            name: 'Fix',
+            assignees: [{ login: 'alice' }, { login: 'bob' }]
+        }, '{{#each assignees}}{{#if @index}}, {{/if}}@{{login}} ({{name}}){{/each}}'), '@alice (Fix), @bob (Fix)', 'Given an array of objects');
+        test.deepEqual(template.generate({ items: ['a', 'b'] }, '{{#each items}}- {{this}}\n{{/each}}'), '- a\n- b\n', 'Given an array of strings');
+        test.done();
+    },
+    'Should apply the filters': function (test) {
+        test.expect(5);
+
+        test.deepEqual(template.generate({ name: '<b>Fix</b>' }, '{{name | escape}}'), '&lt;b&gt;Fix&lt;/b&gt;', 'Given the escape filter');
+        test.deepEqual(template.generate({ name: 'A very long title' }, '{{ name | truncate:10 | upper }}'), 'A VERY...', 'Given chained filters');
+        test.deepEqual(template.generate({ date: new Date(2017, 3, 9) }, '{{date}} {{date | format:\'YYYY-MM-DD\'}}'), '09/04/2017 2017-04-09', 'Given a date');
+        test.deepEqual(template.generate({ labels: ['bug', 'ui'] }, '{{labels | join:" | "}}'), 'bug | ui', 'Given an argument with a pipe');
+        test.deepEqual(template.generate({ author: '' }, '{{author | default:\'unknown\'}}'), 'unknown', 'Given the default filter');
+        test.done();
+    }
+};
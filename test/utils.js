@@ -9,8 +9,31 @@ exports['utils'] = {
         test.deepEqual(utils.formatDate(new Date(0)), '01/01/1970', 'Given a date object.');
         test.done();
     },
+    'Should return the string of the date in the given format': function (test) {
+        test.expect(2);
+
+        test.deepEqual(utils.formatDate(new Date(2017, 3, 9, 7, 5, 3), 'YYYY-MM-DD HH:mm:ss'), '2017-04-09 07:05:03', 'Given a format with padded tokens.');
+        test.deepEqual(utils.formatDate(new Date(2017, 3, 9), 'D/M/YY'), '9/4/17', 'Given a format with short tokens.');
+        test.done();
+    },
+    'Should return the string of the date in the given locale and time zone': function (test) {
+        test.expect(2);
+
+        var date = new Date(Date.UTC(2017, 3, 9, 23, 30));
+
+        test.deepEqual(utils.formatDate(date, 'MM/DD/YYYY HH:mm', { timeZone: 'America/New_York' }), '04/09/2017 19:30', 'Given a time zone.');
+        test.deepEqual(utils.formatDate(date, 'D MMMM YYYY', { locale: 'en-GB', timeZone: 'Asia/Tokyo' }), '10 April 2017', 'Given a locale and a time zone.');
+        test.done();
+    },
+    'Should return the string of the relative date': function (test) {
+        test.expect(2);
+
+        test.deepEqual(utils.formatRelativeDate(new Date(2017, 0, 1), { locale: 'en' }, new Date(2017, 0, 4)), '3 days ago', 'Given a date in the past.');
+        test.deepEqual(utils.formatRelativeDate(new Date(2017, 0, 1, 2), { locale: 'en' }, new Date(2017, 0, 1)), 'in 2 hours', 'Given a date in the future.');
+        test.done();
+    },
     'Should return the options in a key/value format': function (test) {
-        test.expect(1);
+        test.expect(2);
 
         let bashOptions = utils.getBashOptions([null, null, '--key=value', '--key2=value2']);
 
@@ -18,6 +41,7 @@ exports['utils'] = {
             key: 'value',
             key2: 'value2'
         }), 'Given an array of node arguments.');
+        test.deepEqual(utils.getBashOptions([null, null, 'bump', '--json']), { json: true, action: 'bump' }, 'Given the action as first argument.');
         test.done();
     },
     'Should return a camelCase string': function (test) {
@@ -28,7 +52,7 @@ exports['utils'] = {
         test.done();
     },
     'Should return if a number is in between a range': function (test) {
-        test.expect(7);
+        test.expect(9);
 
         test.deepEqual(utils.isInRange(2, 1, 3), true, 'Given a number in range');
         test.deepEqual(utils.isInRange(1, 2, 3), false, 'Given a number below range');
@@ -37,7 +61,94 @@ exports['utils'] = {
         test.deepEqual(utils.isInRange(-1, -3, 0), true, 'Given a number in range, negative');
         test.deepEqual(utils.isInRange(2, 2, 5), true, 'Given same number as first range value');
         test.deepEqual(utils.isInRange(5, 2, 5), false, 'Given same number as last range value');
+        test.deepEqual(utils.isInRange('2017-01-01T10:00:00', '2017-01-01T10:30:00+01:00', new Date(Date.UTC(2017, 0, 2))), true, 'Given dates in different time zones');
+        test.deepEqual(utils.isInRange('2017-01-01T10:00:00Z', '2017-01-01T10:30:00', '2017-01-02'), false, 'Given a date before the range, in UTC');
+
+        test.done();
+    },
+    'Should return the URL of the next page': function (test) {
+        test.expect(3);
+
+        test.deepEqual(utils.getNextPageUrl('<https://api.github.com/repositories/1/tags?page=2>; rel="next", <https://api.github.com/repositories/1/tags?page=5>; rel="last"'), 'https://api.github.com/repositories/1/tags?page=2', 'Given a Link header with a next page');
+        test.deepEqual(utils.getNextPageUrl('<https://api.github.com/repositories/1/tags?page=1>; rel="first", <https://api.github.com/repositories/1/tags?page=4>; rel="prev"'), false, 'Given a Link header of the last page');
+        test.deepEqual(utils.getNextPageUrl(undefined), false, 'Given no Link header');
+        test.done();
+    },
+    'Should parse the URL of a git remote': function (test) {
+        test.expect(4);
+
+        test.deepEqual(utils.parseRemoteUrl('git@github.com:github-tools/github-release-notes.git'), { host: 'github.com', username: 'github-tools', repo: 'github-release-notes' }, 'Given a SSH remote');
+        test.deepEqual(utils.parseRemoteUrl('https://github.com/github-tools/github-release-notes.git'), { host: 'github.com', username: 'github-tools', repo: 'github-release-notes' }, 'Given a HTTPS remote');
+        test.deepEqual(utils.parseRemoteUrl('https://gitlab.example.com/group/subgroup/project'), { host: 'gitlab.example.com', username: 'group/subgroup', repo: 'project' }, 'Given a remote with subgroups');
+        test.deepEqual(utils.parseRemoteUrl('ssh://git@gitea.example.com:2222/owner/repo.git'), { host: 'gitea.example.com', username: 'owner', repo: 'repo' }, 'Given a SSH remote with a port');
+        test.done();
+    },
+    'Should convert a glob or a regular expression string into a RegExp': function (test) {
+        test.expect(6);
+
+        test.deepEqual(utils.patternToRegExp('v*').test('v1.0.0'), true, 'Given a glob matching the string');
+        test.deepEqual(utils.patternToRegExp('v*').test('docs-v1'), false, 'Given a glob not matching the beginning of the string');
+        test.deepEqual(utils.patternToRegExp('v1.?.0').test('v1.2.0'), true, 'Given a glob with a single character wildcard');
+        test.deepEqual(utils.patternToRegExp('v1.?.0').test('v1x2x0'), false, 'Given a glob with dots');
+        test.deepEqual(utils.patternToRegExp('/^v\\d+\\.\\d+\\.\\d+$/').test('v1.20.3'), true, 'Given a regular expression matching the string');
+        test.deepEqual(utils.patternToRegExp('/nightly/i').test('NIGHTLY-2017'), true, 'Given a regular expression with flags');
+        test.done();
+    },
+    'Should convert a comma separated string into a list of patterns': function (test) {
+        test.expect(3);
+
+        test.deepEqual(utils.convertStringToPatterns('v1*, v2*,,'), ['v1*', 'v2*'], 'Given the spaces and the empty patterns');
+        test.deepEqual(utils.convertStringToPatterns(['*[bot]']), ['*[bot]'], 'Given an array');
+        test.deepEqual(utils.convertStringToPatterns(false), [], 'Given no patterns');
+        test.done();
+    },
+    'Should get the issues and the pull requests referenced by a commit': function (test) {
+        test.expect(4);
+
+        test.deepEqual(utils.getIssueReferences('Handle the empty lines\n\nFixes #12, closes #13 and refs #14'), { issues: [12, 13], pullRequests: [] }, 'Given the closing keywords');
+        test.deepEqual(utils.getIssueReferences('Merge pull request #34 from user/branch\n\nResolved: #15'), { issues: [15], pullRequests: [34] }, 'Given a merge commit');
+        test.deepEqual(utils.getIssueReferences('Add the arrays support (#35)'), { issues: [], pullRequests: [35] }, 'Given a squashed pull request');
+        test.deepEqual(utils.getIssueReferences('Add the arrays support\n\nSee merge request group/repo!36'), { issues: [], pullRequests: [36] }, 'Given a GitLab merge request');
+        test.done();
+    },
+    'Should split a commit message into its header, body and trailers': function (test) {
+        test.expect(4);
+
+        test.deepEqual(utils.parseCommitMessage('Add the arrays support\n\nThe parser handles\nthe arrays.\n\nCo-authored-by: Alice <alice@example.com>\nSigned-off-by: Bob\n  <bob@example.com>\n'), {
+            header: 'Add the arrays support',
+            body: 'The parser handles\nthe arrays.',
+            trailers: [
+                { key: 'Co-authored-by', value: 'Alice <alice@example.com>' },
+                { key: 'Signed-off-by', value: 'Bob <bob@example.com>' }
+            ]
+        }, 'Given a message with a body and trailers');
+        test.deepEqual(utils.parseCommitMessage('Fix the parser\n\nReviewed-by: Alice\nRefs: #12'), {
+            header: 'Fix the parser',
+            body: '',
+            trailers: [{ key: 'Reviewed-by', value: 'Alice' }, { key: 'Refs', value: '#12' }]
+        }, 'Given a message with only trailers');
+        test.deepEqual(utils.parseCommitMessage('Fix the parser\n\nNote: this also changes the CLI output.'), {
+            header: 'Fix the parser',
+            body: 'Note: this also changes the CLI output.',
+            trailers: []
+        }, 'Given a paragraph with a key which is not a trailer');
+        test.deepEqual(utils.parseCommitMessage('Fix the parser\n\nThe last paragraph: it is not\nmade of trailers'), {
+            header: 'Fix the parser',
+            body: 'The last paragraph: it is not\nmade of trailers',
+            trailers: []
+        }, 'Given a paragraph which is not made of trailers');
+        test.done();
+    },
+    'Should replace the section of a release body between the markers': function (test) {
+        test.expect(5);
+
+        var strayStart = 'Intro\n<!-- gren:start -->\nHand-written upgrade notes';
 
+        test.deepEqual(utils.mergeSection('Intro\n\n<!-- gren:start -->\n- Old\n<!-- gren:end -->\n\nUpgrade notes', '- New\n'), 'Intro\n\n<!-- gren:start -->\n- New\n<!-- gren:end -->\n\nUpgrade notes', 'Given a body with the markers');
+        test.deepEqual(utils.mergeSection('Intro\n', '- New\n'), 'Intro\n\n<!-- gren:start -->\n- New\n<!-- gren:end -->', 'Given a body without the markers');
+        test.deepEqual(utils.mergeSection('', '- New'), '<!-- gren:start -->\n- New\n<!-- gren:end -->', 'Given a new release');
+        test.deepEqual(utils.mergeSection(utils.mergeSection(strayStart, '- A'), '- B'), strayStart + '\n\n<!-- gren:start -->\n- B\n<!-- gren:end -->', 'Given a stray start marker');
+        test.deepEqual(utils.mergeSection('<!-- gren:end -->\nIntro\n<!-- gren:start -->\n- Old\n<!-- gren:end -->', '- New'), '<!-- gren:end -->\nIntro\n<!-- gren:start -->\n- New\n<!-- gren:end -->', 'Given a stray end marker before the section');
         test.done();
     }
 };